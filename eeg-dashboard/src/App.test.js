@@ -1,8 +1,21 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// the bundled CSV is fetched by URL; serve a small one instead
+jest.mock('./eeg/parseDatasetAsync', () => {
+  const { parseDataset } = jest.requireActual('./eeg/parseDataset');
+  const csv = [
+    'subject_number,trial_number,Alpha,Beta,Theta,Delta',
+    'sub-01,0,2,1,1.5,1',
+    'sub-01,1,3,1,1.5,1.2',
+    'sub-02,0,1,1,2,2',
+  ].join('\n');
+  return (source, options) => parseDataset(typeof source === 'string' && !source.includes('\n') ? `${csv}\n` : source, options);
+});
+
+test('loads the bundled dataset and plays the first subject', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('Subject: sub-01')).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Layout' })).toBeInTheDocument();
+  expect(screen.getByRole('slider', { name: 'Trial timeline' })).toBeInTheDocument();
 });
@@ -0,0 +1,27 @@
+import { bannerAlerts } from "./alerts";
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(3) : "--");
+
+// ---------- Banner for unacknowledged alerts ----------
+// Shows the most urgent one (see bannerAlerts) and how many more are waiting.
+export default function AlertBanner({ log, onAcknowledge, onDismiss, onAcknowledgeAll }) {
+  const pending = bannerAlerts(log);
+  if (pending.length === 0) return null;
+
+  const [top] = pending;
+  const when = new Date(top.raisedAt).toLocaleTimeString();
+
+  return (
+    <div className={`alertBanner ${top.level}`} role="alert">
+      <strong>{top.level === "critical" ? "⚠️" : "⚡"} {top.name}</strong>
+      <span>
+        {top.subject}, trial {top.trial}: {top.metric} = {fmt(top.value)} ({top.direction} {top.threshold}) at {when}
+        {top.clearedAt ? ` · cleared at trial ${top.clearedTrial}` : ""}
+      </span>
+      {pending.length > 1 && <span className="alertMore">+{pending.length - 1} more</span>}
+      <button onClick={() => onAcknowledge(top.id)}>Acknowledge</button>
+      <button onClick={() => onDismiss(top.id)}>Dismiss</button>
+      {pending.length > 1 && <button onClick={onAcknowledgeAll}>Acknowledge all</button>}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { useState } from "react";
+import { ALERT_LEVELS, ALERT_DIRECTIONS } from "./alerts";
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(3) : "--");
+
+const STATUS_LABELS = { new: "New", acknowledged: "Acknowledged", dismissed: "Dismissed" };
+
+const newRule = (k, metric) => ({
+  id: `rule-${Date.now().toString(36)}-${k}`,
+  name: `Rule ${k + 1}`,
+  metric,
+  direction: "above",
+  threshold: 1,
+  sustain: 3,
+  hysteresis: 0,
+  level: "warning",
+  enabled: true,
+});
+
+// ---------- Alert rules editor and alert log ----------
+// `alerts` is the object returned by useAlerts; rule edits are a draft until
+// Apply (setRules throws on an invalid rule and the message is shown).
+export default function AlertPanel({ alerts, metrics }) {
+  const [draft, setDraft] = useState(alerts.rules);
+  const [error, setError] = useState(null);
+  const [showDismissed, setShowDismissed] = useState(false);
+
+  const update = (k, patch) => setDraft((list) => list.map((r, j) => (j === k ? { ...r, ...patch } : r)));
+
+  const apply = () => {
+    try {
+      alerts.setRules(draft);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const entries = alerts.log.filter((e) => showDismissed || e.status !== "dismissed");
+  const open = alerts.log.filter((e) => e.status === "new").length;
+
+  return (
+    <details className="bandEditor alertPanel">
+      <summary>
+        Alerts ({alerts.rules.filter((r) => r.enabled).length} rules, {open} unacknowledged)
+      </summary>
+
+      <table>
+        <thead>
+          <tr>
+            <th>On</th>
+            <th>Name</th>
+            <th>Metric</th>
+            <th>When it</th>
+            <th>Threshold</th>
+            <th>Sustain (trials)</th>
+            <th>Hysteresis</th>
+            <th>Level</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((r, k) => (
+            <tr key={r.id}>
+              <td>
+                <input type="checkbox" checked={r.enabled} onChange={(e) => update(k, { enabled: e.target.checked })} aria-label={`Enable ${r.name}`} />
+              </td>
+              <td>
+                <input value={r.name} onChange={(e) => update(k, { name: e.target.value })} aria-label={`Rule ${k + 1} name`} />
+              </td>
+              <td>
+                <select value={r.metric} onChange={(e) => update(k, { metric: e.target.value })} aria-label={`${r.name} metric`}>
+                  {!metrics.some((m) => m.key === r.metric) && <option value={r.metric}>{r.metric} (not available)</option>}
+                  {metrics.map((m) => (
+                    <option key={m.key} value={m.key}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <select value={r.direction} onChange={(e) => update(k, { direction: e.target.value })} aria-label={`${r.name} direction`}>
+                  {Object.entries(ALERT_DIRECTIONS).map(([id, label]) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <input type="number" step="any" value={r.threshold} onChange={(e) => update(k, { threshold: e.target.value })} aria-label={`${r.name} threshold`} />
+              </td>
+              <td>
+                <input type="number" min={1} step={1} value={r.sustain} onChange={(e) => update(k, { sustain: e.target.value })} aria-label={`${r.name} sustain`} />
+              </td>
+              <td>
+                <input type="number" min={0} step="any" value={r.hysteresis} onChange={(e) => update(k, { hysteresis: e.target.value })} aria-label={`${r.name} hysteresis`} />
+              </td>
+              <td>
+                <select value={r.level} onChange={(e) => update(k, { level: e.target.value })} aria-label={`${r.name} level`}>
+                  {Object.entries(ALERT_LEVELS).map(([id, label]) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <button onClick={() => setDraft((list) => list.filter((_, j) => j !== k))} aria-label={`Remove ${r.name}`}>
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="bandEditorActions">
+        <button onClick={() => setDraft((list) => [...list, newRule(list.length, metrics[0]?.key)])}>+ Add rule</button>
+        <button onClick={apply}>Apply</button>
+      </div>
+
+      {error && (
+        <div className="datasetError" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="bandEditorActions alertLogActions">
+        <strong>Alert log</strong>
+        <label>
+          <input type="checkbox" checked={showDismissed} onChange={(e) => setShowDismissed(e.target.checked)} />
+          Show dismissed
+        </label>
+        <button onClick={alerts.acknowledgeAll} disabled={open === 0}>
+          Acknowledge all
+        </button>
+        <button onClick={alerts.clearLog} disabled={alerts.log.length === 0}>
+          Clear log
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="auditNote">No alerts yet.</p>
+      ) : (
+        <table className="alertLog">
+          <thead>
+            <tr>
+              <th>Raised</th>
+              <th>Rule</th>
+              <th>Dataset</th>
+              <th>Subject</th>
+              <th>Trial</th>
+              <th>Value</th>
+              <th>Cleared</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e) => (
+              <tr key={e.id} className={`${e.level} ${e.status}`}>
+                <td>{new Date(e.raisedAt).toLocaleString()}</td>
+                <td>
+                  {e.name} ({ALERT_LEVELS[e.level] || e.level})
+                </td>
+                <td>{e.dataset ?? "--"}</td>
+                <td>{e.subject}</td>
+                <td>{e.trial}</td>
+                <td>
+                  {e.metric} {fmt(e.value)}
+                </td>
+                <td>{e.clearedAt ? `trial ${e.clearedTrial}` : "active"}</td>
+                <td>{STATUS_LABELS[e.status] || e.status}</td>
+                <td>
+                  {e.status === "new" && <button onClick={() => alerts.acknowledge(e.id)}>Ack</button>}
+                  {e.status !== "dismissed" && <button onClick={() => alerts.dismiss(e.id)}>Dismiss</button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+}
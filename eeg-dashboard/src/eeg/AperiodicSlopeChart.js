@@ -0,0 +1,164 @@
+import { detectChangePoints, SHIFT_COLORS } from "./changepoint";
+import { createExtent, finite } from "./helpers";
+
+// A change point this many trials back (or fewer) still drives the badge.
+const RECENT_TRIALS = 5;
+
+// ---------- Aperiodic Slope Trend Chart ----------
+// `changePoints` (see detectChangePoints) default to PELT over `history`.
+// Trials without a usable fit keep a NaN slope: the line breaks there and
+// they read "no fit" rather than plotting as 0.
+export default function AperiodicSlopeChart({ history, currentIndex, fitRange, changePoints, width = 600, height = 200 }) {
+  if (!history || history.length === 0) return null;
+  
+  const padding = { top: 20, right: 30, bottom: 40, left: 50 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+  
+  // Get slope values
+  const slopes = history.map(d => (d.slope == null || d.slope === "" ? NaN : Number(d.slope)));
+  const times = history.map(d => Number(d.time) || 0);
+  const r2s = history.map(d => Number(d.r2));
+  
+  const extent = createExtent();
+  slopes.forEach((v) => extent.add(v));
+  const minSlope = extent.empty ? 0 : extent.min;
+  const maxSlope = extent.empty ? 1 : extent.max;
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  
+  const slopeRange = maxSlope - minSlope || 1;
+  const timeRange = maxTime - minTime || 1;
+  
+  // Generate path
+  const points = history.map((d, i) => {
+    const x = padding.left + (times[i] - minTime) / timeRange * chartWidth;
+    const y = padding.top + chartHeight - ((slopes[i] - minSlope) / slopeRange * chartHeight);
+    return { x, y, slope: slopes[i], time: times[i] };
+  });
+  
+  // runs of consecutive fitted trials; the line and fill break at gaps
+  const runs = [];
+  points.forEach((p, i) => {
+    if (!finite(p.slope)) return;
+    if (i > 0 && finite(points[i - 1].slope)) runs[runs.length - 1].push(p);
+    else runs.push([p]);
+  });
+  const bottom = padding.top + chartHeight;
+  const runPath = (run) => run.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+  const pathD = runs.map(runPath).join(' ');
+  const fillD = runs.map((run) => `${runPath(run)} L ${run[run.length - 1].x} ${bottom} L ${run[0].x} ${bottom} Z`).join(' ');
+  const currentSlope = slopes[currentIndex];
+  
+  // Alert status from the latest detected shift in the mean slope: one in
+  // the last few trials is HIGH when it's 3+ noise sigmas, MEDIUM otherwise
+  const changes = changePoints || detectChangePoints(history.map((d) => Number(d.slope)));
+  const recent = changes.filter((c) => c.index <= currentIndex && currentIndex - c.index < RECENT_TRIALS).pop();
+
+  const alertLevel = !finite(currentSlope) ? "NO_FIT" : !recent ? "NORMAL" : Math.abs(recent.size) >= 3 ? "HIGH" : "MEDIUM";
+  const alertColor = { HIGH: "#D32F2F", MEDIUM: "#FBC02D", NORMAL: "#2E7D32", NO_FIT: "#546E7A" }[alertLevel];
+  const arrow = recent && alertLevel !== "NO_FIT" ? (recent.direction === "up" ? " ↑" : " ↓") : "";
+  
+  return (
+    <div style={{ width: "100%" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, color: "#d8e1ff", fontSize: 16 }}>
+          Aperiodic Slope ({fitRange ? `${fitRange.fMin}-${fitRange.fMax} Hz` : "full spectrum"})
+        </div>
+        <div style={{ 
+          padding: "4px 12px", 
+          borderRadius: 4, 
+          background: alertColor, 
+          color: "white", 
+          fontSize: 12,
+          fontWeight: 700 
+        }}>
+          {{ HIGH: "⚠️ RAPID CHANGE", MEDIUM: "⚡ MODERATE CHANGE", NORMAL: "✓ STABLE", NO_FIT: "NO FIT" }[alertLevel]}
+          {arrow}
+        </div>
+      </div>
+      <div style={{ width: "100%", aspectRatio: `${width}/${height}` }}>
+        <svg viewBox={`0 0 ${width} ${height}`} width="100%" height="100%" preserveAspectRatio="xMidYMid meet" style={{ display: "block", background: "#0f1422", borderRadius: 8 }}>
+        {/* Grid lines */}
+        {[0, 0.25, 0.5, 0.75, 1].map(frac => {
+          const y = padding.top + chartHeight * (1 - frac);
+          return (
+            <line 
+              key={`grid-${frac}`} 
+              x1={padding.left} 
+              y1={y} 
+              x2={width - padding.right} 
+              y2={y} 
+              stroke="rgba(255,255,255,0.1)" 
+              strokeWidth="1" 
+            />
+          );
+        })}
+        
+        {/* Change points: dashed line between the last trial before and the first after */}
+        {changes
+          .filter((c) => c.index > 0 && c.index < points.length)
+          .map((c) => {
+            const x = (points[c.index - 1].x + points[c.index].x) / 2;
+            return (
+              <g key={`cp-${c.index}`}>
+                <line x1={x} y1={padding.top} x2={x} y2={padding.top + chartHeight} stroke={SHIFT_COLORS[c.direction]} strokeWidth="1.5" strokeDasharray="4 3" />
+                <text x={x} y={padding.top - 6} fill={SHIFT_COLORS[c.direction]} fontSize="10" textAnchor="middle">
+                  {c.direction === "up" ? "▲" : "▼"} {c.shift >= 0 ? "+" : ""}{c.shift.toFixed(2)}
+                </text>
+              </g>
+            );
+          })}
+
+        {/* Trend line */}
+        <path d={pathD} stroke="#4FC3F7" strokeWidth="2.5" fill="none" />
+        
+        {/* Fill area under curve */}
+        <path d={fillD} fill="rgba(79, 195, 247, 0.15)" />
+        
+        {/* Current position marker */}
+        {currentIndex < points.length && finite(currentSlope) && (
+          <circle 
+            cx={points[currentIndex].x} 
+            cy={points[currentIndex].y} 
+            r="5" 
+            fill="#4FC3F7" 
+            stroke="#fff" 
+            strokeWidth="2"
+          />
+        )}
+        
+        {/* Y-axis labels */}
+        <text x={padding.left - 10} y={padding.top} fill="#d8e1ff" fontSize="11" textAnchor="end" dominantBaseline="middle">
+          {extent.empty ? "--" : maxSlope.toFixed(2)}
+        </text>
+        <text x={padding.left - 10} y={padding.top + chartHeight} fill="#d8e1ff" fontSize="11" textAnchor="end" dominantBaseline="middle">
+          {extent.empty ? "--" : minSlope.toFixed(2)}
+        </text>
+        
+        {/* X-axis label */}
+        <text x={width / 2} y={height - 5} fill="#d8e1ff" fontSize="12" textAnchor="middle">
+          Time
+        </text>
+        
+        {/* Y-axis label */}
+        <text 
+          x={15} 
+          y={height / 2} 
+          fill="#d8e1ff" 
+          fontSize="12" 
+          textAnchor="middle" 
+          transform={`rotate(-90, 15, ${height / 2})`}
+        >
+          Slope
+        </text>
+      </svg>
+      </div>
+      <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 11, marginTop: 4 }}>
+        Current: {finite(currentSlope) ? currentSlope.toFixed(3) : "no fit"} | 
+        Fit R²: {Number.isFinite(r2s[currentIndex]) ? r2s[currentIndex].toFixed(3) : "--"} | 
+        Steeper negative slope indicates faster deterioration
+      </div>
+    </div>
+  );
+}
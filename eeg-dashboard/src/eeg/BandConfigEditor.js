@@ -0,0 +1,103 @@
+import { useState } from "react";
+import { BAND_PRESETS, makeBand } from "./bands";
+
+// ---------- Band configuration editor ----------
+// Edits a draft and hands it to `onChange` on Apply; `onChange` throws on an
+// invalid configuration (see validateBandConfig) and the message is shown.
+export default function BandConfigEditor({ bands, onChange }) {
+  const [draft, setDraft] = useState(bands);
+  const [error, setError] = useState(null);
+
+  const update = (k, patch) =>
+    setDraft((list) =>
+      list.map((b, j) => {
+        if (j !== k) return b;
+        const next = { ...b, ...patch };
+        return patch.name != null ? makeBand(next.name, next.lo, next.hi, next.color) : next;
+      })
+    );
+
+  const apply = (next) => {
+    try {
+      onChange(next);
+      setDraft(next);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <details className="bandEditor">
+      <summary>Frequency bands ({bands.length})</summary>
+
+      <div className="bandEditorPresets">
+        {Object.entries(BAND_PRESETS).map(([id, preset]) => (
+          <button key={id} onClick={() => apply(preset.bands)}>
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <table>
+        <thead>
+          <tr>
+            <th>Name / column</th>
+            <th>From (Hz)</th>
+            <th>To (Hz)</th>
+            <th>Color</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((b, k) => (
+            <tr key={k}>
+              <td>
+                <input value={b.name} onChange={(e) => update(k, { name: e.target.value })} aria-label={`Band ${k + 1} name`} />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  step="0.5"
+                  value={b.lo}
+                  onChange={(e) => update(k, { lo: Number(e.target.value) })}
+                  aria-label={`${b.name} lower edge`}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  step="0.5"
+                  value={b.hi}
+                  onChange={(e) => update(k, { hi: Number(e.target.value) })}
+                  aria-label={`${b.name} upper edge`}
+                />
+              </td>
+              <td>
+                <input type="color" value={b.color} onChange={(e) => update(k, { color: e.target.value })} aria-label={`${b.name} color`} />
+              </td>
+              <td>
+                <button onClick={() => setDraft((list) => list.filter((_, j) => j !== k))} aria-label={`Remove ${b.name}`}>
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="bandEditorActions">
+        <button onClick={() => setDraft((list) => [...list, makeBand(`Band ${list.length + 1}`, 30, 45, "#9E9E9E")])}>
+          + Add band
+        </button>
+        <button onClick={() => apply(draft)}>Apply</button>
+      </div>
+
+      {error && (
+        <div className="datasetError" role="alert">
+          {error}
+        </div>
+      )}
+    </details>
+  );
+}
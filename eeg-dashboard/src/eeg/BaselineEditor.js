@@ -0,0 +1,59 @@
+import { NORM_MODES } from "./normative";
+
+// ---------- Normative reference: mode, dataset and baseline subjects ----------
+// `norm` is the object returned by useNormativeReference.
+export default function BaselineEditor({ norm, datasets }) {
+  const { reference } = norm;
+
+  return (
+    <details className="bandEditor baselineEditor">
+      <summary>
+        Normative reference ({NORM_MODES[norm.mode].toLowerCase()}
+        {reference ? `, ${reference.subjects} subjects / ${reference.trials} trials` : ", no baseline"})
+      </summary>
+
+      <div className="ratioForm auditControls">
+        <label>
+          Show
+          <select value={norm.mode} onChange={(e) => norm.setMode(e.target.value)} aria-label="Normalization">
+            {Object.entries(NORM_MODES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Reference
+          <select value={norm.datasetId || ""} onChange={(e) => norm.setDatasetId(e.target.value)} aria-label="Reference dataset">
+            <option value="">Current dataset</option>
+            {datasets.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="bandEditorActions" style={{ marginTop: 0 }}>
+          <button onClick={norm.pickAll}>All subjects</button>
+          <button onClick={norm.pickNone}>None</button>
+        </div>
+      </div>
+
+      <div className="baselineSubjects">
+        {norm.options.map((id) => (
+          <label key={id}>
+            <input type="checkbox" checked={norm.picked.includes(id)} onChange={() => norm.toggleSubject(id)} />
+            {id}
+          </label>
+        ))}
+      </div>
+
+      {!reference && (
+        <div className="datasetError" role="alert">
+          Pick at least one baseline subject.
+        </div>
+      )}
+    </details>
+  );
+}
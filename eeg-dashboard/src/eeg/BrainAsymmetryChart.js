@@ -0,0 +1,140 @@
+import { clamp } from "./helpers";
+
+// ---------- Brain Symmetry Index Visualization ----------
+export default function BrainAsymmetryChart({ result }) {
+  const W = 400;
+  const H = 250;
+  const brainWidth = 140;
+  const brainHeight = 180;
+  const centerX = W / 2;
+  const centerY = H / 2;
+  
+  // BSI ranges: closer to 0 = more symmetric (healthy), higher = more asymmetric (damage)
+  const hasData = Number.isFinite(result?.bsi);
+  const bsi = hasData ? result.bsi : 0;
+  const lat = Number.isFinite(result?.lateralization) ? result.lateralization : 0;
+  const asymmetryLevel = Math.abs(bsi);
+  const pairs = result?.pairs || [];
+  
+  // Color coding based on BSI
+  const getAsymmetryColor = (val) => {
+    if (val < 0.1) return "#2E7D32"; // Green - symmetric/healthy
+    if (val < 0.3) return "#FBC02D"; // Yellow - mild asymmetry
+    return "#D32F2F"; // Red - significant asymmetry
+  };
+  
+  const statusColor = getAsymmetryColor(asymmetryLevel);
+  const statusText = !hasData
+    ? "No channel data"
+    : asymmetryLevel < 0.1 ? "Symmetric" : asymmetryLevel < 0.3 ? "Mild Asymmetry" : "Significant Asymmetry";
+  
+  // Simplified brain hemispheres; the dominant side is drawn at full opacity
+  const leftOpacity = lat < 0 ? 1 : 0.3 + (1 - asymmetryLevel) * 0.7;
+  const rightOpacity = lat > 0 ? 1 : 0.3 + (1 - asymmetryLevel) * 0.7;
+  
+  return (
+    <div style={{ width: "100%" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, color: "#d8e1ff", fontSize: 16 }}>
+          Brain Symmetry Index (BSI)
+        </div>
+        <div style={{ color: hasData ? statusColor : "rgba(216,225,255,0.65)", fontWeight: 700, fontSize: 14 }}>
+          {statusText}
+        </div>
+      </div>
+      <div style={{ width: "100%", aspectRatio: `${W}/${H}` }}>
+        <svg viewBox={`0 0 ${W} ${H}`} width="100%" height="100%" preserveAspectRatio="xMidYMid meet" style={{ display: "block", background: "#0f1422", borderRadius: 8 }}>
+        {/* Left Hemisphere */}
+        <ellipse
+          cx={centerX - brainWidth / 4}
+          cy={centerY}
+          rx={brainWidth / 2}
+          ry={brainHeight / 2}
+          fill="#4FC3F7"
+          opacity={leftOpacity}
+          stroke="#fff"
+          strokeWidth="2"
+        />
+        <text 
+          x={centerX - brainWidth / 4} 
+          y={centerY} 
+          fill="#fff" 
+          fontSize="16" 
+          fontWeight="700"
+          textAnchor="middle" 
+          dominantBaseline="middle"
+        >
+          L
+        </text>
+        
+        {/* Right Hemisphere */}
+        <ellipse
+          cx={centerX + brainWidth / 4}
+          cy={centerY}
+          rx={brainWidth / 2}
+          ry={brainHeight / 2}
+          fill="#F06292"
+          opacity={rightOpacity}
+          stroke="#fff"
+          strokeWidth="2"
+        />
+        <text 
+          x={centerX + brainWidth / 4} 
+          y={centerY} 
+          fill="#fff" 
+          fontSize="16" 
+          fontWeight="700"
+          textAnchor="middle" 
+          dominantBaseline="middle"
+        >
+          R
+        </text>
+        
+        {/* Center line */}
+        <line 
+          x1={centerX} 
+          y1={centerY - brainHeight / 2 - 10} 
+          x2={centerX} 
+          y2={centerY + brainHeight / 2 + 10} 
+          stroke="rgba(255,255,255,0.4)" 
+          strokeWidth="2" 
+          strokeDasharray="5,5"
+        />
+        
+        {/* BSI Value Display */}
+        <text 
+          x={centerX} 
+          y={H - 20} 
+          fill={statusColor} 
+          fontSize="24" 
+          fontWeight="700"
+          textAnchor="middle"
+        >
+          {hasData ? bsi.toFixed(3) : "--"}
+        </text>
+      </svg>
+      </div>
+      
+      {/* Per-pair breakdown: bar length = pair BSI, arrow = dominant side */}
+      {pairs.length > 0 && (
+        <div style={{ display: "grid", gridTemplateColumns: "64px 1fr 56px", gap: "4px 8px", marginTop: 10, fontSize: 12 }}>
+          {pairs.map(p => (
+            <div key={p.pair} style={{ display: "contents" }}>
+              <div style={{ color: "#d8e1ff", textAlign: "right" }}>{p.pair}</div>
+              <div style={{ background: "rgba(255,255,255,0.08)", borderRadius: 3, height: 10, alignSelf: "center" }}>
+                <div style={{ width: `${clamp(p.bsi, 0, 1) * 100}%`, height: "100%", borderRadius: 3, background: getAsymmetryColor(p.bsi) }} />
+              </div>
+              <div style={{ color: "rgba(216,225,255,0.85)", fontVariantNumeric: "tabular-nums" }}>
+                {p.lateralization < 0 ? "◀" : p.lateralization > 0 ? "▶" : "•"} {p.bsi.toFixed(2)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 11, marginTop: 4, textAlign: "center" }}>
+        Highlighted side carries more band power | ~0 = Symmetric (healthy)
+      </div>
+    </div>
+  );
+}
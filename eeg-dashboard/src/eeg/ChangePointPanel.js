@@ -0,0 +1,97 @@
+import { useMemo } from "react";
+import { subjectChangePoints, CHANGE_METHODS, SHIFT_COLORS } from "./changepoint";
+
+const fmt = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 100 ? v.toFixed(0) : v.toPrecision(3)) : "--");
+const pct = (v) => (Number.isFinite(v) ? `${v >= 0 ? "+" : ""}${(v * 100).toFixed(0)}%` : "");
+
+// Sparkline of one series with change points and the playhead.
+function Sparkline({ series, changes, index, width = 220, height = 36 }) {
+  const finite = series.filter(Number.isFinite);
+  if (finite.length < 2) return <svg width={width} height={height} />;
+
+  const lo = Math.min(...finite);
+  const hi = Math.max(...finite);
+  const x = (k) => 2 + (k / Math.max(series.length - 1, 1)) * (width - 4);
+  const y = (v) => height - 3 - ((v - lo) / (hi - lo || 1)) * (height - 6);
+  const d = series
+    .map((v, k) => (Number.isFinite(v) ? `${x(k)},${y(v)}` : null))
+    .filter(Boolean)
+    .join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width={width} height={height} style={{ display: "block" }}>
+      {changes.map((c) => (
+        <line
+          key={c.index}
+          x1={x(c.index - 0.5)}
+          x2={x(c.index - 0.5)}
+          y1={0}
+          y2={height}
+          stroke={SHIFT_COLORS[c.direction]}
+          strokeDasharray="3 2"
+          strokeWidth="1.5"
+        />
+      ))}
+      <polyline points={d} fill="none" stroke="#d8e1ff" strokeWidth="1.2" />
+      <line x1={x(index)} x2={x(index)} y1={0} y2={height} stroke="rgba(255,255,255,0.45)" strokeWidth="1" />
+    </svg>
+  );
+}
+
+// ---------- Change points per metric for the current subject ----------
+// Detection runs over the subject's whole per-trial series; clicking a
+// shift seeks to the first trial after it.
+export default function ChangePointPanel({ trials, index, metrics, method = "pelt", onMethodChange, severityModel, onSeek }) {
+  const found = useMemo(
+    () => subjectChangePoints(trials, metrics, { method, severityModel }),
+    [trials, metrics, method, severityModel]
+  );
+
+  return (
+    <div style={{ width: "100%", color: "#d8e1ff" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16 }}>Change points</div>
+        {onMethodChange && (
+          <select className="panelSelect" value={method} onChange={(e) => onMethodChange(e.target.value)} aria-label="Change-point method">
+            {Object.entries(CHANGE_METHODS).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <table className="normTable changeTable">
+        <tbody>
+          {metrics.map(({ key, label }) => {
+            const { series, changes } = found[key];
+            return (
+              <tr key={key}>
+                <td>{label}</td>
+                <td>
+                  <Sparkline series={series} changes={changes} index={index} />
+                </td>
+                <td>
+                  {changes.length === 0 && <span className="auditNote">no shift</span>}
+                  {changes.map((c) => (
+                    <button
+                      key={c.index}
+                      className="shiftChip"
+                      style={{ borderColor: SHIFT_COLORS[c.direction] }}
+                      onClick={onSeek ? () => onSeek(c.index) : undefined}
+                      title={`${fmt(c.before)} → ${fmt(c.after)} (${c.size.toFixed(1)}σ)`}
+                    >
+                      {c.direction === "up" ? "▲" : "▼"} trial {trials[c.index]?.t ?? c.index}: {c.shift >= 0 ? "+" : ""}
+                      {fmt(c.shift)} {pct(c.relative)}
+                    </button>
+                  ))}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { useId, useState } from "react";
+import { clamp } from "./helpers";
+import { computeSeverity, DEFAULT_SEVERITY_MODEL } from "./severity";
+import { DEFAULT_BANDS_CONFIG } from "./bands";
+
+// 0..1 magnitude of one band for the wedge modes:
+//   band       position of the value inside its [min, max] range
+//   deviation  |value - reference| relative to the reference
+export function bandMagnitude(value, { mode, range, reference }) {
+  const v = Number(value);
+  if (!Number.isFinite(v)) return 0;
+  if (mode === "deviation") {
+    const ref = Number(reference);
+    if (!Number.isFinite(ref) || ref === 0) return 0;
+    return clamp(Math.abs(v - ref) / Math.abs(ref), 0, 1);
+  }
+  const min = Number(range?.min);
+  const max = Number(range?.max);
+  if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return 0;
+  return clamp((v - min) / (max - min), 0, 1);
+}
+
+// ---------- Circular EEG Chart ----------
+// One wedge per entry of `bands` (see bands.js). mode "severity": every wedge
+// lights the same ring count from the severity model. "band" / "deviation":
+// each wedge shows its own band (see bandMagnitude) using `bandRanges` or
+// `reference`, in the band's color, fading in toward the rim.
+export default function CircularEEGChart({
+  values,
+  size = 520,
+  segments = 6,
+  bands = DEFAULT_BANDS_CONFIG,
+  severityModel = DEFAULT_SEVERITY_MODEL,
+  mode = "severity",
+  bandRanges,
+  reference,
+}) {
+  const [hovered, setHovered] = useState(null);
+  // unique per chart: the compare grid puts many radars on one page
+  const glowId = `wedgeGlow-${useId().replace(/[^A-Za-z0-9_-]/g, "")}`;
+
+  const cx = size / 2;
+  const cy = size / 2;
+  const innerR = 28;
+  const outerR = size / 2 - 14;
+
+  const labels = bands.map((b) => b.name);
+  const n = labels.length;
+
+  const gapDeg = 12;
+  const sweepDeg = 360 / n - gapDeg;
+  const segGap = 3;
+  const ringTh = (outerR - innerR) / (segments + 0.25);
+  const deg2rad = (d) => (d * Math.PI) / 180;
+  const gridRings = 5;
+
+  const segmentPath = (wi, r0, r1) => {
+    const base = -90 + wi * (360 / n);
+    const a0 = deg2rad(base + gapDeg / 2);
+    const a1 = deg2rad(base + gapDeg / 2 + sweepDeg);
+
+    const x0 = cx + r0 * Math.cos(a0);
+    const y0 = cy + r0 * Math.sin(a0);
+    const x1 = cx + r1 * Math.cos(a0);
+    const y1 = cy + r1 * Math.sin(a0);
+    const x2 = cx + r1 * Math.cos(a1);
+    const y2 = cy + r1 * Math.sin(a1);
+    const x3 = cx + r0 * Math.cos(a1);
+    const y3 = cy + r0 * Math.sin(a1);
+
+    const large = sweepDeg > 180 ? 1 : 0;
+    return `M ${x0} ${y0} L ${x1} ${y1} A ${r1} ${r1} 0 ${large} 1 ${x2} ${y2} L ${x3} ${y3} A ${r0} ${r0} 0 ${large} 0 ${x0} ${y0} Z`;
+  };
+
+  const radialColor = (frac) => {
+    if (frac < 1 / 3) return "#2E7D32";
+    if (frac < 2 / 3) return "#FBC02D";
+    return "#D32F2F";
+  };
+
+  const severityRaw = computeSeverity(values, severityModel);
+  const severity01 = clamp(Math.pow(severityRaw, 0.7) * 1.1, 0, 1);
+
+  const perBand = mode === "band" || mode === "deviation";
+  const wedges = bands.map(({ key: band, name: label, color }) => {
+    const magnitude = perBand
+      ? bandMagnitude(values?.[band], { mode, range: bandRanges?.[band], reference: reference?.[band] })
+      : severity01;
+    return { label, band, color, magnitude, activeRings: Math.round(magnitude * segments) };
+  });
+
+  const hoverInfo = hovered != null ? wedges[hovered] : null;
+  const hoverValue = hoverInfo ? Number(values?.[hoverInfo.band]) : NaN;
+
+  return (
+    <svg
+      viewBox={`0 0 ${size} ${size}`}
+      width="100%"
+      height="100%"
+      preserveAspectRatio="xMidYMid meet"
+      style={{ display: "block", background: "#0f1422", borderRadius: 12 }}
+    >
+      <defs>
+        <filter id={glowId}>
+          <feGaussianBlur stdDeviation="4" result="coloredBlur" />
+          <feMerge>
+            <feMergeNode in="coloredBlur" />
+            <feMergeNode in="SourceGraphic" />
+          </feMerge>
+        </filter>
+      </defs>
+
+      <circle
+        cx={cx}
+        cy={cy}
+        r={outerR}
+        fill="none"
+        stroke="rgba(255,255,255,0.35)"
+        strokeWidth="1.25"
+      />
+
+      {Array.from({ length: gridRings }).map((_, k) => {
+        const rr =
+          innerR + ((k + 1) / (gridRings + 1)) * (outerR - innerR);
+        return (
+          <circle
+            key={`grid-${k}`}
+            cx={cx}
+            cy={cy}
+            r={rr}
+            fill="none"
+            stroke="rgba(255,255,255,0.10)"
+            strokeWidth="1"
+          />
+        );
+      })}
+
+      {labels.map((_, wi) => {
+        const base = -90 + wi * (360 / n);
+        const a = deg2rad(base);
+        const x0 = cx + innerR * Math.cos(a);
+        const y0 = cy + innerR * Math.sin(a);
+        const x1 = cx + outerR * Math.cos(a);
+        const y1 = cy + outerR * Math.sin(a);
+        return (
+          <line
+            key={`spoke-${wi}`}
+            x1={x0}
+            y1={y0}
+            x2={x1}
+            y2={y1}
+            stroke="rgba(255,255,255,0.18)"
+            strokeWidth="1"
+          />
+        );
+      })}
+
+      {wedges.map((w, wi) => (
+        <g
+          key={`w-${w.band}`}
+          onMouseEnter={() => setHovered(wi)}
+          onMouseLeave={() => setHovered(null)}
+          style={{ cursor: "default" }}
+        >
+          <title>
+            {`${w.label}: ${Number.isFinite(Number(values?.[w.band])) ? Number(values[w.band]).toFixed(3) : "--"}`}
+            {perBand && reference?.[w.band] != null ? ` (ref ${Number(reference[w.band]).toFixed(3)})` : ""}
+          </title>
+          {Array.from({ length: segments }).map((_, si) => {
+            const r0 = innerR + si * ringTh + si * (segGap / 2);
+            const r1 = r0 + ringTh - segGap / 2;
+            const filled = si < w.activeRings;
+
+            const frac = (si + 0.5) / segments;
+            const segColor = perBand ? w.color : radialColor(frac);
+
+            return (
+              <path
+                key={`seg-${wi}-${si}`}
+                d={segmentPath(wi, r0, r1)}
+                fill={filled ? segColor : "rgba(255,255,255,0.10)"}
+                style={
+                  filled
+                    ? { filter: `url(#${glowId})`, transition: "fill 450ms ease-in-out" }
+                    : { transition: "fill 300ms ease-in-out" }
+                }
+                opacity={filled ? (perBand ? 0.45 + 0.5 * frac : 0.9) : 1}
+              />
+            );
+          })}
+        </g>
+      ))}
+
+      {labels.map((txt, wi) => {
+        const ang =
+          (-90 + wi * (360 / n) + sweepDeg / 2) * (Math.PI / 180);
+        const r = outerR + 22;
+        const x = cx + r * Math.cos(ang);
+        const y = cy + r * Math.sin(ang);
+        return (
+          <text
+            key={`lbl-${wi}`}
+            x={x}
+            y={y}
+            textAnchor="middle"
+            dominantBaseline="middle"
+            fill="#d8e1ff"
+            fontSize="14"
+          >
+            {txt}
+          </text>
+        );
+      })}
+
+      {hoverInfo && (
+        <g pointerEvents="none">
+          <circle cx={cx} cy={cy} r={innerR + 34} fill="rgba(11,15,26,0.85)" stroke="rgba(255,255,255,0.25)" />
+          <text x={cx} y={cy - 10} textAnchor="middle" dominantBaseline="middle" fill="#d8e1ff" fontSize="13">
+            {hoverInfo.label}
+          </text>
+          <text x={cx} y={cy + 10} textAnchor="middle" dominantBaseline="middle" fill="#fff" fontSize="16" fontWeight="700">
+            {Number.isFinite(hoverValue) ? hoverValue.toFixed(2) : "--"}
+          </text>
+        </g>
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,42 @@
+import { render, screen } from '@testing-library/react';
+import CircularEEGChart, { bandMagnitude } from './CircularEEGChart';
+
+test('band mode normalizes each value inside its range', () => {
+  expect(bandMagnitude(5, { mode: 'band', range: { min: 0, max: 10 } })).toBe(0.5);
+  expect(bandMagnitude(20, { mode: 'band', range: { min: 0, max: 10 } })).toBe(1);
+  expect(bandMagnitude(5, { mode: 'band', range: { min: 3, max: 3 } })).toBe(0);
+});
+
+test('deviation mode is relative distance from the reference', () => {
+  expect(bandMagnitude(6, { mode: 'deviation', reference: 4 })).toBe(0.5);
+  expect(bandMagnitude(2, { mode: 'deviation', reference: 4 })).toBe(0.5);
+  expect(bandMagnitude(2, { mode: 'deviation', reference: NaN })).toBe(0);
+});
+
+test('wedges carry tooltips with the raw band value', () => {
+  render(
+    <CircularEEGChart
+      values={{ alpha: 9.69, beta: 0.95, theta: 1.97, delta: 1.45 }}
+      mode="band"
+      bandRanges={{ alpha: { min: 0, max: 20 } }}
+    />
+  );
+  expect(screen.getByText('Alpha: 9.690')).toBeInTheDocument();
+  expect(screen.getByText('Delta: 1.450')).toBeInTheDocument();
+});
+
+test('draws one wedge per configured band', () => {
+  render(
+    <CircularEEGChart
+      values={{ alpha: 1, gamma: 0.25 }}
+      mode="band"
+      bands={[
+        { key: 'alpha', name: 'Alpha', lo: 8, hi: 12, color: '#33DB4F' },
+        { key: 'gamma', name: 'Gamma', lo: 30, hi: 45, color: '#B164D8' },
+      ]}
+    />
+  );
+  expect(screen.getByText('Gamma: 0.250')).toBeInTheDocument();
+  expect(screen.getByText('Gamma', { selector: 'text' })).toBeInTheDocument();
+  expect(screen.queryByText('Delta', { selector: 'text' })).not.toBeInTheDocument();
+});
@@ -0,0 +1,186 @@
+import { useMemo, useRef, useState } from "react";
+import { cohortMatrix, orderRows, heatColor, HEATMAP_ORDERS, HEATMAP_COLORS, HEATMAP_EMPTY } from "./cohort";
+
+const fmt = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 100 ? v.toFixed(0) : v.toPrecision(3)) : "--");
+
+const LABEL_W = 72;
+const TOP = 20;
+const RIGHT = 8;
+const CELL_H = 12;
+const LEGEND_W = 180;
+
+// ---------- Cohort heatmap: subjects × trial numbers for one metric ----------
+// `metrics` are { key, label } (see alertMetrics). Hovering a cell shows its
+// value; clicking it calls onOpen(subjectIndex, trialIndex) (clicking a row
+// label opens the subject's first trial). The current subject / trial is
+// outlined.
+export default function CohortHeatmap({ subjects, metrics, severityModel, subjectIndex, trialIndex, onOpen, width = 900 }) {
+  const [metric, setMetric] = useState(() => (metrics.some((m) => m.key === "severity") ? "severity" : metrics[0]?.key));
+  const [order, setOrder] = useState("dataset");
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+
+  const matrix = useMemo(() => cohortMatrix(subjects, metric, severityModel), [subjects, metric, severityModel]);
+  const rows = useMemo(() => orderRows(matrix.rows, order), [matrix, order]);
+
+  const cols = matrix.trials.length;
+  const cellW = (width - LABEL_W - RIGHT) / Math.max(cols, 1);
+  const height = TOP + rows.length * CELL_H + 4;
+  const labelEvery = Math.max(1, Math.ceil(cols / ((width - LABEL_W - RIGHT) / 36)));
+
+  // the grid only changes with the data, not with playback or hover
+  const grid = useMemo(
+    () =>
+      rows.map((row, r) => (
+        <g key={row.index}>
+          <text x={LABEL_W - 6} y={TOP + r * CELL_H + CELL_H / 2} fill="#d8e1ff" fontSize="9" textAnchor="end" dominantBaseline="middle">
+            {String(row.subject).slice(0, 12)}
+          </text>
+          {row.values.map((v, c) => (
+            <rect
+              key={c}
+              x={LABEL_W + c * cellW}
+              y={TOP + r * CELL_H}
+              width={cellW + 0.5}
+              height={CELL_H + 0.5}
+              fill={row.trialIndex[c] < 0 ? "transparent" : heatColor(v, matrix.min, matrix.max)}
+            />
+          ))}
+        </g>
+      )),
+    [rows, cellW, matrix.min, matrix.max]
+  );
+
+  const cellAt = (e) => {
+    const box = svgRef.current.getBoundingClientRect();
+    if (!(box.width > 0)) return null;
+    const x = ((e.clientX - box.left) / box.width) * width;
+    const y = ((e.clientY - box.top) / box.height) * height;
+    const r = Math.floor((y - TOP) / CELL_H);
+    if (r < 0 || r >= rows.length || x > width - RIGHT) return null;
+    const c = x < LABEL_W ? null : Math.min(Math.floor((x - LABEL_W) / cellW), cols - 1);
+    return { r, c };
+  };
+
+  const onClick = (e) => {
+    const cell = cellAt(e);
+    if (!cell || !onOpen) return;
+    const row = rows[cell.r];
+    const k = cell.c == null ? 0 : row.trialIndex[cell.c];
+    if (k >= 0) onOpen(row.index, k);
+  };
+
+  const label = metrics.find((m) => m.key === metric)?.label ?? metric;
+  const currentRow = rows.findIndex((row) => row.index === subjectIndex);
+  const currentCol = currentRow >= 0 ? rows[currentRow].trialIndex.indexOf(trialIndex) : -1;
+  const hovered = hover && rows[hover.r];
+  const hoverValue = hovered && hover.c != null ? hovered.values[hover.c] : NaN;
+
+  return (
+    <div style={{ width: "100%", color: "#d8e1ff" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16 }}>
+          Cohort <span className="auditNote">({rows.length} subjects × {cols} trials)</span>
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <select className="panelSelect" value={metric} onChange={(e) => setMetric(e.target.value)} aria-label="Heatmap metric">
+            {metrics.map((m) => (
+              <option key={m.key} value={m.key}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          <select className="panelSelect" value={order} onChange={(e) => setOrder(e.target.value)} aria-label="Row order">
+            {Object.entries(HEATMAP_ORDERS).map(([id, text]) => (
+              <option key={id} value={id}>
+                {text}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="heatmapLegend" aria-label={`${label} color scale`}>
+        <span>{fmt(matrix.min)}</span>
+        <svg width={LEGEND_W} height={10}>
+          <defs>
+            <linearGradient id="heatmapScale">
+              {HEATMAP_COLORS.map((color, k) => (
+                <stop key={color} offset={`${(k / (HEATMAP_COLORS.length - 1)) * 100}%`} stopColor={color} />
+              ))}
+            </linearGradient>
+          </defs>
+          <rect width={LEGEND_W} height={10} rx={2} fill="url(#heatmapScale)" />
+        </svg>
+        <span>{fmt(matrix.max)}</span>
+        <span className="trendSwatch" style={{ background: HEATMAP_EMPTY, marginLeft: 12 }} />
+        <span>no value</span>
+      </div>
+
+      <div style={{ position: "relative" }}>
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${width} ${height}`}
+          width="100%"
+          role="img"
+          aria-label={`${label} by subject and trial`}
+          style={{ display: "block", cursor: onOpen ? "pointer" : "default" }}
+          onMouseMove={(e) => setHover(cellAt(e))}
+          onMouseLeave={() => setHover(null)}
+          onClick={onClick}
+        >
+          {matrix.trials.map((t, c) =>
+            c % labelEvery === 0 ? (
+              <text key={`t-${t}`} x={LABEL_W + (c + 0.5) * cellW} y={TOP - 6} fill="rgba(216,225,255,0.75)" fontSize="9" textAnchor="middle">
+                {t}
+              </text>
+            ) : null
+          )}
+
+          {grid}
+
+          {currentRow >= 0 && (
+            <g pointerEvents="none">
+              <rect x={LABEL_W} y={TOP + currentRow * CELL_H} width={cols * cellW} height={CELL_H} fill="none" stroke="rgba(255,255,255,0.5)" />
+              {currentCol >= 0 && (
+                <rect x={LABEL_W + currentCol * cellW} y={TOP + currentRow * CELL_H} width={cellW} height={CELL_H} fill="none" stroke="#fff" strokeWidth="2" />
+              )}
+            </g>
+          )}
+          {hover && hover.c != null && (
+            <rect
+              x={LABEL_W + hover.c * cellW}
+              y={TOP + hover.r * CELL_H}
+              width={cellW}
+              height={CELL_H}
+              fill="none"
+              stroke="#FF8A65"
+              strokeWidth="2"
+              pointerEvents="none"
+            />
+          )}
+        </svg>
+
+        {hovered && (
+          <div
+            className="trendTooltip"
+            role="tooltip"
+            style={{
+              left: `${((LABEL_W + ((hover.c ?? 0) + 1) * cellW) / width) * 100}%`,
+              top: `${((TOP + (hover.r + 1) * CELL_H) / height) * 100}%`,
+              transform: hover.c != null && hover.c > cols * 0.6 ? "translateX(-110%)" : "translateX(4px)",
+            }}
+          >
+            <div style={{ fontWeight: 700 }}>{hovered.subject}</div>
+            {hover.c != null && (
+              <div>
+                Trial {matrix.trials[hover.c]}: {label} {hovered.trialIndex[hover.c] < 0 ? "not recorded" : fmt(hoverValue)}
+              </div>
+            )}
+            <div>Subject mean: {fmt(hovered.mean)}</div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { useState } from "react";
+import {
+  mappingFields,
+  isCompleteMapping,
+  loadMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset,
+} from "./columnMapping";
+import { hasSpectrumColumns, REQUIRED_COLUMNS } from "./loader";
+import { DEFAULT_BANDS_CONFIG } from "./bands";
+
+const PREVIEW_ROWS = 5;
+const ID_FIELDS = ["subject_number", "trial_number"];
+
+const cell = (v) => {
+  const s = v == null ? "" : String(v);
+  return s.length > 24 ? `${s.slice(0, 23)}…` : s;
+};
+
+// ---------- Column mapping step for CSVs with foreign headers ----------
+// Offers one row per band of the active configuration (`bands`).
+export default function ColumnMappingWizard({ fileName, fields, rows, bands = DEFAULT_BANDS_CONFIG, initialMapping, onConfirm, onCancel }) {
+  const [mapping, setMapping] = useState(initialMapping || {});
+  const [presets, setPresets] = useState(loadMappingPresets);
+  const [presetName, setPresetName] = useState("");
+
+  const mappedSources = new Set(Object.values(mapping).filter(Boolean));
+  const complete = isCompleteMapping(mapping, fields);
+  // band columns are optional when the file carries a spectrum to read them
+  // from; bands beyond the required four always are
+  const hasSpectrum = hasSpectrumColumns(fields);
+  const optional = (key) => !REQUIRED_COLUMNS.includes(key) || (hasSpectrum && !ID_FIELDS.includes(key));
+
+  const assign = (key, source) => setMapping((m) => ({ ...m, [key]: source || undefined }));
+
+  // presets may name headers this file doesn't have; keep only the ones it does
+  const applyPreset = (name) => {
+    const preset = presets[name];
+    if (!preset) return;
+    setMapping((m) => {
+      const next = { ...m };
+      Object.entries(preset).forEach(([key, source]) => {
+        if (fields.includes(source)) next[key] = source;
+      });
+      return next;
+    });
+  };
+
+  return (
+    <div className="mappingWizard" role="dialog" aria-label={`Map columns for ${fileName}`}>
+      <div style={{ fontWeight: 700, color: "#d8e1ff", fontSize: 16 }}>Map columns · {fileName}</div>
+      <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 12, margin: "4px 0 12px" }}>
+        Headers don't match the expected schema. Pick the column that holds each field.
+      </div>
+
+      <div className="mappingFields">
+        {mappingFields(bands).map(({ key, label }) => (
+          <label key={key}>
+            <span>
+              {label}
+              {optional(key) && <em className="mappingOptional"> (optional)</em>}
+            </span>
+            <select value={mapping[key] || ""} onChange={(e) => assign(key, e.target.value)} aria-label={`${label} column`}>
+              <option value="">— choose —</option>
+              {fields.map((f) => (
+                <option key={f} value={f}>
+                  {f}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="mappingPresets">
+        <select value="" onChange={(e) => applyPreset(e.target.value)} aria-label="Apply preset" disabled={!Object.keys(presets).length}>
+          <option value="">Apply preset…</option>
+          {Object.keys(presets).map((name) => (
+            <option key={name} value={name}>
+              {name}
+            </option>
+          ))}
+        </select>
+        <input value={presetName} onChange={(e) => setPresetName(e.target.value)} placeholder="Preset name" aria-label="Preset name" />
+        <button
+          disabled={!presetName.trim() || !complete}
+          onClick={() => {
+            setPresets(saveMappingPreset(presetName, mapping));
+            setPresetName("");
+          }}
+        >
+          Save preset
+        </button>
+        {presets[presetName.trim()] && (
+          <button onClick={() => setPresets(deleteMappingPreset(presetName.trim()))}>Delete preset</button>
+        )}
+      </div>
+
+      <div className="mappingPreview">
+        <table>
+          <thead>
+            <tr>
+              {fields.map((f) => (
+                <th key={f} className={mappedSources.has(f) ? "mapped" : undefined}>
+                  {f}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROWS).map((r, k) => (
+              <tr key={k}>
+                {fields.map((f) => (
+                  <td key={f} className={mappedSources.has(f) ? "mapped" : undefined}>
+                    {cell(r[f])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mappingActions">
+        <button onClick={onCancel}>Cancel</button>
+        <button onClick={() => onConfirm(mapping)} disabled={!complete}>
+          Load dataset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { subjectMeans } from "./helpers";
+import { statPrefix } from "./ratios";
+import { RATIO_GAUGES } from "./layouts";
+import { compareTiles, highestSeverity, defaultComparison, togglePick, MAX_COMPARE } from "./compare";
+import CircularEEGChart from "./CircularEEGChart";
+import RatioGauge from "./RatioGauge";
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : "--");
+
+// ---------- Small multiples: one radar per chosen subject ----------
+// All tiles follow the main playback clock: trial number `t`, easing toward
+// `nextT` by `tt` (see compareTiles). `frameOf(A, B, tt)` builds a tile's
+// frame; the tile with the highest severity is outlined. Clicking a
+// subject name calls onOpen(subjectIndex, trialIndex).
+export default function CompareGrid({
+  subjects,
+  subjectIndex = 0,
+  t,
+  nextT,
+  tt,
+  frameOf,
+  bands,
+  ratios = [],
+  stats = {},
+  severityModel,
+  wedgeMode,
+  bandRanges,
+  onOpen,
+}) {
+  const [picked, setPicked] = useState(() => defaultComparison(subjects.length, subjectIndex));
+  const [showGauges, setShowGauges] = useState(false);
+
+  const chosen = picked.filter((k) => k < subjects.length);
+  const bandKeys = bands.map((b) => b.key);
+
+  const tiles = compareTiles(subjects, chosen, { t, nextT, tt, frameOf, severityModel });
+  const top = highestSeverity(tiles);
+  const gauges = ratios.filter((r) => r.custom || RATIO_GAUGES.includes(r.key));
+
+  return (
+    <div style={{ width: "100%", color: "#d8e1ff" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "space-between", alignItems: "center", gap: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16 }}>
+          Compare subjects <span className="auditNote">· trial {t}</span>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, alignItems: "center" }}>
+          {chosen.map((k) => (
+            <button
+              key={k}
+              className="shiftChip"
+              onClick={() => setPicked((p) => togglePick(p, k))}
+              aria-label={`Remove ${subjects[k][0]?.subject ?? k}`}
+            >
+              {subjects[k][0]?.subject ?? k} ×
+            </button>
+          ))}
+          <select
+            className="panelSelect"
+            value=""
+            onChange={(e) => setPicked((p) => togglePick(p, Number(e.target.value)))}
+            disabled={chosen.length >= MAX_COMPARE}
+            aria-label="Add subject"
+          >
+            <option value="">{chosen.length >= MAX_COMPARE ? `Up to ${MAX_COMPARE} subjects` : "Add subject…"}</option>
+            {subjects.map((trials, k) =>
+              chosen.includes(k) ? null : (
+                <option key={k} value={k}>
+                  {trials[0]?.subject ?? k}
+                </option>
+              )
+            )}
+          </select>
+          <button className="panelSelect" onClick={() => setPicked(defaultComparison(subjects.length, subjectIndex))}>
+            Reset
+          </button>
+          <label className="auditNote">
+            <input type="checkbox" checked={showGauges} onChange={(e) => setShowGauges(e.target.checked)} /> gauges
+          </label>
+        </div>
+      </div>
+
+      {tiles.length === 0 && <p className="auditNote">Add subjects to compare them side by side.</p>}
+
+      <div className="compareGrid">
+        {tiles.map((tile, k) => (
+          <section key={tile.index} aria-label={tile.subject} className={`compareTile${k === top ? " highest" : ""}`}>
+            <div className="compareTileHeader">
+              {onOpen ? (
+                <button onClick={() => onOpen(tile.index, Math.max(tile.k, 0))} title="Open in playback">
+                  {tile.subject}
+                </button>
+              ) : (
+                <span>{tile.subject}</span>
+              )}
+              {k === top && <span className="compareBadge">Highest severity</span>}
+            </div>
+
+            {tile.frame ? (
+              <>
+                <div className="compareRadar">
+                  <CircularEEGChart
+                    values={tile.frame}
+                    size={260}
+                    segments={6}
+                    bands={bands}
+                    severityModel={severityModel}
+                    mode={wedgeMode}
+                    bandRanges={bandRanges}
+                    reference={wedgeMode === "deviation" ? subjectMeans(subjects[tile.index], bandKeys) : undefined}
+                  />
+                </div>
+                {showGauges && (
+                  <div className="compareGauges">
+                    {gauges.map(({ key, label, invertNeedle = false }) => (
+                      <RatioGauge
+                        key={key}
+                        title={label}
+                        value={tile.frame[key]}
+                        min={stats[`${statPrefix(key)}Min`]}
+                        max={stats[`${statPrefix(key)}Max`]}
+                        invertNeedle={invertNeedle}
+                        ticks={3}
+                        tickLabels={false}
+                      />
+                    ))}
+                  </div>
+                )}
+                <div className="auditNote">Severity {fmt(tile.severity)}</div>
+              </>
+            ) : (
+              <p className="auditNote">No trial {t}</p>
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
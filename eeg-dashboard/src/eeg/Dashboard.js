@@ -0,0 +1,416 @@
+import { useState, useMemo } from "react";
+import { safe, safeText, lerp, subjectMinMax, subjectMeans } from "./helpers";
+import { lerpSpectrum } from "./spectrum";
+import { lerpBSI } from "./bsi";
+import { APERIODIC_FIT } from "./loader";
+import { LAYOUTS, DEFAULT_LAYOUT, RATIO_GAUGES } from "./layouts";
+import { DEFAULT_BANDS_CONFIG } from "./bands";
+import { availableRatios, computeRatios, statPrefix } from "./ratios";
+import { listSeverityModels, DEFAULT_SEVERITY_MODEL } from "./severity";
+import useEEGData from "./useEEGData";
+import usePlayback, { PLAYBACK_SPEEDS, END_MODES } from "./usePlayback";
+import usePlaybackKeys from "./usePlaybackKeys";
+import PlaybackTimeline from "./PlaybackTimeline";
+import SubjectPicker from "./SubjectPicker";
+import DatasetLoader from "./DatasetLoader";
+import ColumnMappingWizard from "./ColumnMappingWizard";
+import BandConfigEditor from "./BandConfigEditor";
+import RatioBuilder from "./RatioBuilder";
+import DataAudit from "./DataAudit";
+import BaselineEditor from "./BaselineEditor";
+import NormativeTable from "./NormativeTable";
+import useNormativeReference from "./useNormativeReference";
+import useAlerts from "./useAlerts";
+import AlertBanner from "./AlertBanner";
+import AlertPanel from "./AlertPanel";
+import { alertMetrics } from "./alerts";
+import ChangePointPanel from "./ChangePointPanel";
+import TrendChart from "./TrendChart";
+import CohortHeatmap from "./CohortHeatmap";
+import CompareGrid from "./CompareGrid";
+import { changeMetrics, detectChangePoints } from "./changepoint";
+import { normalize, NORM_GAUGES } from "./normative";
+import CircularEEGChart from "./CircularEEGChart";
+import RatioGauge from "./RatioGauge";
+import SpectrumChart from "./SpectrumChart";
+import AperiodicSlopeChart from "./AperiodicSlopeChart";
+import BrainAsymmetryChart from "./BrainAsymmetryChart";
+import SeverityBreakdown from "./SeverityBreakdown";
+
+// Values shown at playback position tt (0..1) between trials A and B; band
+// values (and any source columns ratios read) are interpolated and ratios
+// recomputed from them.
+export function interpolateFrame(A, B, tt, bands = DEFAULT_BANDS_CONFIG, ratios = availableRatios(bands)) {
+  const values = {};
+  bands.forEach(({ key }) => {
+    values[key] = safe(lerp(A[key], B[key], tt));
+  });
+  const columns = {};
+  ratios.forEach(({ column }) => {
+    if (column != null) columns[column] = lerp(A.columns?.[column], B.columns?.[column], tt);
+  });
+
+  return {
+    ...values,
+    ...computeRatios(values, ratios, columns),
+    time: safe(lerp(A.t, B.t, tt)),
+    spectrum: lerpSpectrum(A.spectrum, B.spectrum, tt),
+    bsi: lerpBSI(A.bsiResult, B.bsiResult, tt),
+  };
+}
+
+// ---------- Panels ----------
+const PANELS = {
+  radar: ({ frame, bands, severityModel, wedgeMode, bandRanges, bandReference }) => (
+    <div className="cardBody">
+      <div style={{ width: "100%", height: "100%", maxWidth: 560, aspectRatio: "1 / 1" }}>
+        <CircularEEGChart
+          values={frame}
+          size={520}
+          segments={6}
+          bands={bands}
+          severityModel={severityModel}
+          mode={wedgeMode}
+          bandRanges={bandRanges}
+          reference={bandReference}
+        />
+      </div>
+    </div>
+  ),
+
+  spectrum: ({ frame, bands }) => <SpectrumChart spectrum={frame.spectrum} bands={bands} width={600} height={360} />,
+
+  gauges: ({ frame, layout, stats, current, ratios, norm }) => {
+    const { range: rangeMode, ...gaugeProps } = layout.gauge || {};
+    // z-score / percentile mode: symmetric zones around the reference
+    const normGauge = norm.reference && NORM_GAUGES[norm.mode];
+    return (
+      <div className="gaugeStack">
+        {ratios
+          .filter((r) => r.custom || RATIO_GAUGES.includes(r.key))
+          .map(({ key: metric, label, invertNeedle = false, range: ratioRange, column }) => {
+            const key = statPrefix(metric);
+            const range =
+              (ratioRange || rangeMode) === "subject"
+                ? subjectMinMax(current, metric)
+                : { min: stats[`${key}Min`], max: stats[`${key}Max`] };
+            const title = column ? `${label} · ${column} column` : label;
+            if (normGauge) {
+              return (
+                <RatioGauge
+                  key={metric}
+                  {...gaugeProps}
+                  variant="three-zone"
+                  needle="line"
+                  {...normGauge}
+                  title={`${title} (${norm.mode === "z" ? "z" : "pctl"})`}
+                  value={normalize(frame[metric], norm.reference.metrics[metric], norm.mode)}
+                />
+              );
+            }
+            return (
+              <RatioGauge
+                key={metric}
+                {...gaugeProps}
+                title={title}
+                invertNeedle={invertNeedle}
+                value={frame[metric]}
+                min={range.min}
+                max={range.max}
+              />
+            );
+          })}
+      </div>
+    );
+  },
+
+  slope: ({ current, i, changes }) => (
+    <AperiodicSlopeChart
+      history={current.slice(0, i + 1).map((d) => ({ time: d.t, slope: d.slope, r2: d.slopeR2 }))}
+      currentIndex={i}
+      changePoints={changes.slope.filter((c) => c.index <= i)}
+      fitRange={APERIODIC_FIT}
+      width={600}
+      height={220}
+    />
+  ),
+
+  bsi: ({ frame }) => <BrainAsymmetryChart result={frame.bsi} />,
+
+  changes: ({ current, i, changes, severityModel, onSeek }) => (
+    <ChangePointPanel
+      trials={current}
+      index={i}
+      metrics={changes.metrics}
+      method={changes.method}
+      onMethodChange={changes.setMethod}
+      severityModel={severityModel}
+      onSeek={onSeek}
+    />
+  ),
+
+  trends: ({ current, i, metrics, bands, changes, severityModel, onSeek }) => (
+    <TrendChart
+      key={current[0].subject}
+      trials={current}
+      index={i}
+      metrics={metrics}
+      bands={bands}
+      severityModel={severityModel}
+      changeMethod={changes.method}
+      onSeek={onSeek}
+    />
+  ),
+
+  heatmap: ({ subjects, metrics, severityModel, subjectIndex, i, onOpenTrial }) => (
+    <CohortHeatmap
+      subjects={subjects}
+      metrics={metrics}
+      severityModel={severityModel}
+      subjectIndex={subjectIndex}
+      trialIndex={i}
+      onOpen={onOpenTrial}
+    />
+  ),
+
+  // picks are subject indices, so a new dataset starts a fresh comparison
+  compare: ({ datasetId, subjects, subjectIndex, current, i, target, tt, bands, ratios, stats, severityModel, wedgeMode, bandRanges, onOpenTrial }) => (
+    <CompareGrid
+      key={datasetId}
+      subjects={subjects}
+      subjectIndex={subjectIndex}
+      t={current[i].t}
+      nextT={current[target].t}
+      tt={tt}
+      frameOf={(A, B, x) => interpolateFrame(A, B, x, bands, ratios)}
+      bands={bands}
+      ratios={ratios}
+      stats={stats}
+      severityModel={severityModel}
+      wedgeMode={wedgeMode}
+      bandRanges={bandRanges}
+      onOpen={onOpenTrial}
+    />
+  ),
+
+  severity: ({ frame, severityModel }) => <SeverityBreakdown values={frame} severityModel={severityModel} />,
+
+  norms: ({ frame, norm, severityModel }) => (
+    <NormativeTable metrics={norm.metrics} values={frame} reference={norm.reference} mode={norm.mode} severityModel={severityModel} />
+  ),
+};
+
+const WEDGE_MODES = [
+  { id: "severity", label: "Wedges: severity" },
+  { id: "band", label: "Wedges: band power" },
+  { id: "deviation", label: "Wedges: vs. subject mean" },
+];
+
+// ---------- Dashboard ----------
+export default function Dashboard({ layout = DEFAULT_LAYOUT, onLayoutChange, src }) {
+  const data = useEEGData(src);
+  const { subjects, stats, bands, ratios } = data;
+  const [severityModel, setSeverityModel] = useState(DEFAULT_SEVERITY_MODEL);
+  const [wedgeMode, setWedgeMode] = useState("severity");
+  const playback = usePlayback(subjects, { datasetId: data.activeId });
+  const { current, i, step, playing, tt } = playback;
+  usePlaybackKeys(playback);
+  const norm = useNormativeReference({ datasets: data.datasets, activeId: data.activeId, subjects, bands, ratios, severityModel });
+  const datasetName = data.datasets.find((d) => d.id === data.activeId)?.name ?? null;
+  const alerts = useAlerts({ current, i, severityModel, datasetId: data.activeId, datasetName });
+  const metrics = useMemo(() => alertMetrics(bands, ratios), [bands, ratios]);
+  const [changeMethod, setChangeMethod] = useState("pelt");
+  const changeSeries = useMemo(() => changeMetrics(bands, ratios), [bands, ratios]);
+  // once per subject and method, not per animation frame; the slope panel
+  // shows the ones the playhead has reached
+  const slopeChanges = useMemo(
+    () => detectChangePoints(current.map((d) => d.slope), { method: changeMethod }),
+    [current, changeMethod]
+  );
+
+  const bandRanges = useMemo(
+    () => Object.fromEntries(bands.map(({ key }) => [key, { min: stats[`${key}Min`], max: stats[`${key}Max`] }])),
+    [stats, bands]
+  );
+  const bandReference = useMemo(
+    () => subjectMeans(current, bands.map((b) => b.key)),
+    [current, bands]
+  );
+
+  const pending = data.pendingMapping;
+  const datasetLoader = (
+    <>
+      <DatasetLoader
+        datasets={data.datasets}
+        activeId={data.activeId}
+        onSelect={data.selectDataset}
+        onRemove={data.removeDataset}
+        onFiles={async (files) => {
+          for (const file of files) await data.loadFile(file);
+        }}
+        progress={data.progress}
+        error={data.error}
+        onDismissError={data.clearError}
+        edfOptions={data.edfOptions}
+        onEdfOptionsChange={data.setEdfOptions}
+      />
+      {pending && (
+        <ColumnMappingWizard
+          key={pending.id}
+          fileName={pending.name}
+          fields={pending.fields}
+          rows={pending.preview}
+          bands={bands}
+          initialMapping={pending.guess}
+          onConfirm={data.confirmMapping}
+          onCancel={data.cancelMapping}
+        />
+      )}
+    </>
+  );
+
+  if (current.length === 0) {
+    return (
+      <div className="App">
+        <p style={{ color: "#fff" }}>{data.loading ? "Loading EEG Data…" : "Load a feature CSV to begin."}</p>
+        {datasetLoader}
+      </div>
+    );
+  }
+
+  const cfg = LAYOUTS[layout] || LAYOUTS[DEFAULT_LAYOUT];
+
+  const target = Math.min(i + step, current.length - 1);
+  const frame = interpolateFrame(current[i], current[target], tt, bands, ratios);
+  const changes = { metrics: changeSeries, method: changeMethod, setMethod: setChangeMethod, slope: slopeChanges };
+  const ctx = {
+    frame,
+    layout: cfg,
+    stats,
+    datasetId: data.activeId,
+    subjects,
+    subjectIndex: playback.subjectIndex,
+    current,
+    i,
+    target,
+    tt,
+    bands,
+    ratios,
+    metrics,
+    norm,
+    changes,
+    severityModel,
+    wedgeMode,
+    bandRanges,
+    bandReference,
+    onSeek: playback.seek,
+    onOpenTrial: playback.openTrial,
+  };
+
+  return (
+    <div className="App">
+      <div className="app-header">
+        <AlertBanner
+          log={alerts.log}
+          onAcknowledge={alerts.acknowledge}
+          onDismiss={alerts.dismiss}
+          onAcknowledgeAll={alerts.acknowledgeAll}
+        />
+        <h2 style={{ margin: 0 }}>Subject: {current[0].subject}</h2>
+        <h3 style={{ margin: "6px 0 0 0" }}>Time: {safeText(frame.time)}</h3>
+
+        <div className="controls">
+          <button onClick={playback.stepBack} title="Previous trial (←)">⏮ Step</button>
+          <button onClick={playback.togglePlaying} title="Play / pause (space)">
+            {playing ? "⏸ Pause" : "▶️ Play"}
+          </button>
+          <button onClick={playback.stepForward} title="Next trial (→)">Step ⏭</button>
+          <button onClick={playback.restart}>🔁 Reset</button>
+          <button onClick={playback.prevSubject} title="Previous subject (shift + ←)">⬅️ Prev</button>
+          <button onClick={playback.nextSubject} title="Next subject (shift + →)">➡️ Next</button>
+
+          <select value={playback.speed} onChange={(e) => playback.setSpeed(Number(e.target.value))} aria-label="Playback speed">
+            {PLAYBACK_SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+
+          <select value={playback.endMode} onChange={(e) => playback.setEndMode(e.target.value)} aria-label="End of subject">
+            {Object.entries(END_MODES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          <select value={severityModel} onChange={(e) => setSeverityModel(e.target.value)} aria-label="Severity model">
+            {listSeverityModels().map((m) => (
+              <option key={m.id} value={m.id} title={m.description}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+
+          <select value={wedgeMode} onChange={(e) => setWedgeMode(e.target.value)} aria-label="Wedge mode">
+            {WEDGE_MODES.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+
+          {onLayoutChange && (
+            <select value={layout} onChange={(e) => onLayoutChange(e.target.value)} aria-label="Layout">
+              {Object.entries(LAYOUTS).map(([key, l]) => (
+                <option key={key} value={key}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {datasetLoader}
+        <BandConfigEditor bands={bands} onChange={data.setBands} />
+        <RatioBuilder bands={bands} ratios={data.customRatios} values={frame} onAdd={data.addRatio} onRemove={data.removeRatio} />
+        <DataAudit
+          subjects={subjects}
+          ratios={ratios}
+          source={data.ratioSource}
+          onSourceChange={data.setRatioSource}
+          onSelectSubject={playback.goToSubject}
+          warnings={data.warnings}
+        />
+        <BaselineEditor norm={norm} datasets={data.datasets} />
+        <AlertPanel alerts={alerts} metrics={metrics} />
+
+        <div className="timeline">
+          <PlaybackTimeline trials={current} index={i} onSeek={playback.seek} />
+        </div>
+      </div>
+
+      <div className="dashboardBody">
+        <SubjectPicker
+          subjects={subjects}
+          subjectIndex={playback.subjectIndex}
+          onSelect={playback.goToSubject}
+          severityModel={severityModel}
+        />
+
+        <div className="chart-container">
+          {cfg.rows.map((row, ri) => (
+            <div key={`row-${ri}`} className="gridWrap" style={ri > 0 ? { marginTop: 24 } : undefined}>
+              {row.map((name) => (
+                <div key={name} className="card">
+                  {PANELS[name](ctx)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import { useMemo, useState } from "react";
+import { auditDataset, DEFAULT_TOLERANCE, RATIO_SOURCES } from "./audit";
+
+const MAX_ROWS = 200;
+const MAX_WARNINGS = 20;
+
+const num = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 1e-3 || v === 0 ? v.toFixed(4) : v.toExponential(2)) : "--");
+const pct = (v) => (Number.isFinite(v) ? `${(v * 100).toPrecision(3)}%` : "--");
+
+// ---------- Data audit: computed ratios vs. source columns ----------
+// The audit only runs while the panel is open. `source` / `onSourceChange`
+// pick what drives the gauges (see RATIO_SOURCES); `onSelectSubject` gets the
+// subject index when a subject row is clicked. `warnings` are the loader's
+// per-row messages (e.g. unreadable spectra) for the active dataset.
+export default function DataAudit({ subjects, ratios, source, onSourceChange, onSelectSubject, warnings = [] }) {
+  const [open, setOpen] = useState(false);
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+
+  const report = useMemo(
+    () => (open ? auditDataset(subjects, ratios, tolerance) : null),
+    [open, subjects, ratios, tolerance]
+  );
+
+  const flagged = report ? report.subjects.filter((s) => s.mismatches > 0) : [];
+
+  return (
+    <details className="bandEditor dataAudit" onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary>
+        Data audit
+        {warnings.length > 0 && <span className="auditWarningCount"> · {warnings.length} row warning{warnings.length === 1 ? "" : "s"}</span>}
+      </summary>
+
+      {warnings.length > 0 && (
+        <div className="auditWarnings" role="status">
+          <p className="auditNote">
+            {warnings.length} row{warnings.length === 1 ? "" : "s"} loaded without a usable spectrum:
+          </p>
+          <ul>
+            {warnings.slice(0, MAX_WARNINGS).map((w, k) => (
+              <li key={k}>{w}</li>
+            ))}
+          </ul>
+          {warnings.length > MAX_WARNINGS && <p className="auditNote">…and {warnings.length - MAX_WARNINGS} more.</p>}
+        </div>
+      )}
+
+      <div className="ratioForm auditControls">
+        <label>
+          Gauges use
+          <select value={source} onChange={(e) => onSourceChange(e.target.value)} aria-label="Ratio source">
+            {Object.entries(RATIO_SOURCES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Relative tol. (%)
+          <input
+            type="number"
+            min={0}
+            step={0.01}
+            value={tolerance.rel * 100}
+            onChange={(e) => setTolerance((t) => ({ ...t, rel: Math.max(0, Number(e.target.value) / 100 || 0) }))}
+            aria-label="Relative tolerance (percent)"
+          />
+        </label>
+        <label>
+          Absolute tol.
+          <input
+            type="number"
+            min={0}
+            step="any"
+            value={tolerance.abs}
+            onChange={(e) => setTolerance((t) => ({ ...t, abs: Math.max(0, Number(e.target.value) || 0) }))}
+            aria-label="Absolute tolerance"
+          />
+        </label>
+      </div>
+
+      {report && report.metrics.length === 0 && <p className="auditNote">No ratio has a matching source column in this dataset.</p>}
+
+      {report && report.metrics.length > 0 && (
+        <>
+          <table>
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th>Column</th>
+                <th>Rows</th>
+                <th>Mismatches</th>
+                <th>Max abs. error</th>
+                <th>Max rel. error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.metrics.map((m) => (
+                <tr key={m.key} className={m.mismatches > 0 ? "auditBad" : "auditOk"}>
+                  <td>{m.label}</td>
+                  <td>
+                    <code>{m.column}</code>
+                  </td>
+                  <td>{m.rows}</td>
+                  <td>{m.mismatches}</td>
+                  <td>{num(m.maxAbsError)}</td>
+                  <td>{pct(m.maxRelError)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {flagged.length === 0 ? (
+            <p className="auditNote">All {report.subjects.length} subjects agree within tolerance.</p>
+          ) : (
+            <table>
+              <thead>
+                <tr>
+                  <th>Subject</th>
+                  <th>Rows</th>
+                  <th>Mismatches</th>
+                  <th>Max rel. error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flagged.map((s) => (
+                  <tr key={s.index} className="auditBad">
+                    <td>
+                      {onSelectSubject ? <button onClick={() => onSelectSubject(s.index)}>{s.subject}</button> : s.subject}
+                    </td>
+                    <td>{s.rows}</td>
+                    <td>{s.mismatches}</td>
+                    <td>{pct(s.maxRelError)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {report.rows.length > 0 && (
+            <table>
+              <thead>
+                <tr>
+                  <th>Subject</th>
+                  <th>Trial</th>
+                  <th>Metric</th>
+                  <th>Computed</th>
+                  <th>Source</th>
+                  <th>Rel. error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.slice(0, MAX_ROWS).map((r) => (
+                  <tr key={`${r.subject}-${r.t}-${r.key}`}>
+                    <td>{r.subject}</td>
+                    <td>{r.t}</td>
+                    <td>{r.label}</td>
+                    <td>{num(r.computed)}</td>
+                    <td>{num(r.source)}</td>
+                    <td>{pct(r.relError)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {report.rows.length > MAX_ROWS && (
+            <p className="auditNote">
+              Showing the first {MAX_ROWS} of {report.rows.length} mismatched rows.
+            </p>
+          )}
+        </>
+      )}
+    </details>
+  );
+}
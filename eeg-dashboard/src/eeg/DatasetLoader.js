@@ -0,0 +1,127 @@
+import { useRef, useState } from "react";
+import { REQUIRED_COLUMNS } from "./loader";
+
+const progressText = ({ fraction, rows }) =>
+  fraction != null ? `${Math.round(fraction * 100)}%` : `${(rows || 0).toLocaleString()} rows`;
+
+// ---------- Dataset picker, file input and drop zone ----------
+export default function DatasetLoader({
+  datasets,
+  activeId,
+  onSelect,
+  onRemove,
+  onFiles,
+  progress,
+  error,
+  onDismissError,
+  edfOptions,
+  onEdfOptionsChange,
+}) {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const takeFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 0) onFiles(files);
+  };
+
+  const onDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDragging(true);
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    takeFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <div className="datasetLoader">
+      <div
+        className={`dropZone${dragging ? " dragging" : ""}`}
+        role="button"
+        tabIndex={0}
+        aria-label="Load CSV files"
+        onClick={() => inputRef.current.click()}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") {
+            e.preventDefault();
+            inputRef.current.click();
+          }
+        }}
+        onDragOver={onDragOver}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        title={`CSV columns: ${REQUIRED_COLUMNS.join(", ")}`}
+      >
+        {progress ? `Parsing ${progress.name}… ${progressText(progress)}` : "Drop feature CSVs or EDF recordings here, or click to browse"}
+        {progress && progress.fraction != null && (
+          <div className="dropZoneProgress" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round(progress.fraction * 100)}>
+            <div style={{ width: `${progress.fraction * 100}%` }} />
+          </div>
+        )}
+      </div>
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,text/csv,.edf,.rec"
+        multiple
+        hidden
+        data-testid="dataset-file-input"
+        onChange={(e) => {
+          takeFiles(e.target.files);
+          e.target.value = "";
+        }}
+      />
+
+      {edfOptions && onEdfOptionsChange && (
+        <label className="edfOptions">
+          EDF epoch
+          <input
+            type="number"
+            min={0.5}
+            step={0.5}
+            value={edfOptions.epochSeconds}
+            onChange={(e) => {
+              const epochSeconds = Number(e.target.value);
+              if (epochSeconds > 0) onEdfOptionsChange({ ...edfOptions, epochSeconds });
+            }}
+            aria-label="EDF epoch length (seconds)"
+          />
+          s
+        </label>
+      )}
+
+      {datasets.length > 0 && (
+        <div className="datasetSelect">
+          <select value={activeId || ""} onChange={(e) => onSelect(e.target.value)} aria-label="Dataset">
+            {datasets.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.name} ({d.subjects.length} subjects)
+              </option>
+            ))}
+          </select>
+          {onRemove && datasets.length > 1 && (
+            <button onClick={() => onRemove(activeId)} title="Unload this dataset">
+              ✕
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="datasetError" role="alert">
+          {error}
+          {onDismissError && (
+            <button onClick={onDismissError} aria-label="Dismiss">
+              ✕
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { metricValue, zScore, percentileOf, normZone, NORM_ZONE_COLORS } from "./normative";
+import { DEFAULT_SEVERITY_MODEL } from "./severity";
+
+const fmt = (v, digits = 2) => (Number.isFinite(v) ? v.toFixed(digits) : "--");
+
+// ---------- Every band, ratio and severity value against the reference ----------
+// The zone dot follows the selected mode (z-score when showing raw values).
+export default function NormativeTable({ metrics, values, reference, mode = "raw", severityModel = DEFAULT_SEVERITY_MODEL }) {
+  return (
+    <div style={{ width: "100%", color: "#d8e1ff" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16 }}>Normative comparison</div>
+        <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 12 }}>
+          {reference ? `Reference: ${reference.subjects} subjects, ${reference.trials} trials` : "No reference"}
+        </div>
+      </div>
+
+      <table className="normTable">
+        <thead>
+          <tr>
+            <th>Metric</th>
+            <th>Value</th>
+            <th>Ref. mean ± SD</th>
+            <th>z</th>
+            <th>Percentile</th>
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.map(({ key, label }) => {
+            const ref = reference?.metrics[key];
+            const value = metricValue(values, key, severityModel);
+            const z = zScore(value, ref);
+            const pct = percentileOf(value, ref);
+            const zone = mode === "percentile" ? normZone(pct, "percentile") : normZone(z, "z");
+            return (
+              <tr key={key}>
+                <td>
+                  <span className="normDot" style={{ background: zone ? NORM_ZONE_COLORS[zone] : "transparent" }} title={zone || ""} />
+                  {label}
+                </td>
+                <td>{fmt(value, 3)}</td>
+                <td>{ref ? `${fmt(ref.mean)} ± ${fmt(ref.sd)}` : "--"}</td>
+                <td>{fmt(z)}</td>
+                <td>{fmt(pct, 0)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
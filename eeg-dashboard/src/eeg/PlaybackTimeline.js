@@ -0,0 +1,88 @@
+import { useRef } from "react";
+import { clamp } from "./helpers";
+
+// ---------- Timeline scrubber over the current subject's trials ----------
+export default function PlaybackTimeline({ trials, index, onSeek, width = 900, height = 46 }) {
+  const svgRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  const padX = 14;
+  const trackY = 18;
+  const n = trials.length;
+  const span = Math.max(n - 1, 1);
+  const xOf = (k) => padX + (k / span) * (width - 2 * padX);
+
+  // label roughly every 80px so long subjects stay readable
+  const labelEvery = Math.max(1, Math.ceil(n / ((width - 2 * padX) / 80)));
+
+  const indexAt = (clientX) => {
+    const box = svgRef.current.getBoundingClientRect();
+    const x = ((clientX - box.left) / box.width) * width;
+    return clamp(Math.round(((x - padX) / (width - 2 * padX)) * span), 0, n - 1);
+  };
+
+  const onPointerDown = (e) => {
+    if (n === 0) return;
+    draggingRef.current = true;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    onSeek(indexAt(e.clientX));
+  };
+
+  const onPointerMove = (e) => {
+    if (!draggingRef.current) return;
+    const k = indexAt(e.clientX);
+    if (k !== index) onSeek(k);
+  };
+
+  const onPointerUp = (e) => {
+    draggingRef.current = false;
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+  };
+
+  if (n === 0) return null;
+
+  const hx = xOf(index);
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      width="100%"
+      preserveAspectRatio="none"
+      role="slider"
+      aria-label="Trial timeline"
+      aria-valuemin={0}
+      aria-valuemax={n - 1}
+      aria-valuenow={index}
+      aria-valuetext={`Trial ${trials[index]?.t}`}
+      style={{ display: "block", cursor: "pointer", touchAction: "none", userSelect: "none" }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerUp}
+    >
+      <rect x={padX} y={trackY - 3} width={width - 2 * padX} height={6} rx={3} fill="rgba(255,255,255,0.12)" />
+      <rect x={padX} y={trackY - 3} width={hx - padX} height={6} rx={3} fill="#2563eb" />
+
+      {trials.map((tr, k) => (
+        <g key={`tick-${k}`}>
+          <line
+            x1={xOf(k)}
+            y1={trackY + 6}
+            x2={xOf(k)}
+            y2={trackY + (k % labelEvery === 0 ? 12 : 9)}
+            stroke="rgba(216,225,255,0.45)"
+            strokeWidth="1"
+          />
+          {k % labelEvery === 0 && (
+            <text x={xOf(k)} y={height - 4} fill="rgba(216,225,255,0.75)" fontSize="10" textAnchor="middle">
+              {tr.t}
+            </text>
+          )}
+        </g>
+      ))}
+
+      <circle cx={hx} cy={trackY} r={8} fill="#d8e1ff" stroke="#2563eb" strokeWidth="3" />
+    </svg>
+  );
+}
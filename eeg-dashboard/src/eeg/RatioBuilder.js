@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { parseRatioExpression, compileExpression } from "./ratioExpression";
+import { RATIO_RANGES } from "./ratios";
+
+// Starting points offered as one-click fills.
+const SUGGESTIONS = [
+  { name: "DAR", expression: "delta / alpha" },
+  { name: "Beta/Alpha", expression: "beta / alpha" },
+  { name: "Slow/Fast", expression: "(delta + theta) / (alpha + beta)" },
+];
+
+const OPERATORS = ["+", "-", "*", "/", "(", ")"];
+
+const EMPTY_FORM = { name: "", expression: "", floor: 0.1, range: "", invertNeedle: false };
+
+const RANGE_LABELS = { "": "Layout default", global: "Global range", subject: "Per-subject range" };
+
+// Live check of the expression: { error } or { value } on `values`.
+function preview(expression, floor, bands, values) {
+  if (!expression.trim()) return null;
+  try {
+    const ast = parseRatioExpression(expression, bands.map((b) => b.key));
+    return { value: values ? compileExpression(ast, { floor: Number(floor) || 0 })(values) : NaN };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// ---------- Custom ratio gauges ----------
+// `onAdd` throws on an invalid definition (see makeCustomRatio) and the
+// message is shown; `values` (the current frame) feeds the live preview.
+export default function RatioBuilder({ bands, ratios, values, onAdd, onRemove }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  const set = (patch) => setForm((f) => ({ ...f, ...patch }));
+  const insert = (token) => set({ expression: `${form.expression.trimEnd()} ${token} `.trimStart() });
+
+  const add = () => {
+    try {
+      onAdd({ ...form, range: form.range || undefined });
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const check = preview(form.expression, form.floor, bands, values);
+
+  return (
+    <details className="bandEditor ratioBuilder">
+      <summary>Ratio gauges ({ratios.length} custom)</summary>
+
+      {ratios.length > 0 && (
+        <ul className="ratioList">
+          {ratios.map((r) => (
+            <li key={r.key}>
+              <strong>{r.label}</strong> <code>{r.expression}</code>
+              <span>
+                floor {r.floor}, {RANGE_LABELS[r.range || ""].toLowerCase()}
+              </span>
+              <button onClick={() => onRemove(r.key)} aria-label={`Remove ${r.label}`}>
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="bandEditorPresets">
+        {SUGGESTIONS.map((s) => (
+          <button key={s.name} onClick={() => set(s)} title={s.expression}>
+            {s.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="ratioForm">
+        <input value={form.name} onChange={(e) => set({ name: e.target.value })} placeholder="Name" aria-label="Ratio name" />
+        <input
+          value={form.expression}
+          onChange={(e) => set({ expression: e.target.value })}
+          placeholder="(delta + theta) / (alpha + beta)"
+          aria-label="Ratio expression"
+          spellCheck={false}
+        />
+        <label>
+          Floor
+          <input
+            type="number"
+            min={0}
+            step={0.05}
+            value={form.floor}
+            onChange={(e) => set({ floor: e.target.value })}
+            aria-label="Denominator floor"
+          />
+        </label>
+        <select value={form.range} onChange={(e) => set({ range: e.target.value })} aria-label="Gauge range">
+          {["", ...RATIO_RANGES].map((r) => (
+            <option key={r} value={r}>
+              {RANGE_LABELS[r]}
+            </option>
+          ))}
+        </select>
+        <label>
+          <input type="checkbox" checked={form.invertNeedle} onChange={(e) => set({ invertNeedle: e.target.checked })} />
+          High is good
+        </label>
+      </div>
+
+      <div className="bandEditorActions">
+        {bands.map((b) => (
+          <button key={b.key} onClick={() => insert(b.key)} style={{ borderColor: b.color }}>
+            {b.key}
+          </button>
+        ))}
+        {OPERATORS.map((op) => (
+          <button key={op} onClick={() => insert(op)} aria-label={`Insert ${op}`}>
+            {op}
+          </button>
+        ))}
+        <button onClick={add}>Add gauge</button>
+      </div>
+
+      {check && (
+        <div className="ratioPreview" role="status">
+          {check.error || `Current trial: ${Number.isFinite(check.value) ? check.value.toFixed(3) : "--"}`}
+        </div>
+      )}
+
+      {error && (
+        <div className="datasetError" role="alert">
+          {error}
+        </div>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,237 @@
+import { useId } from "react";
+import { clamp } from "./helpers";
+
+// ---------- Gauge presets ----------
+// A preset only fills in defaults; any of its fields can be overridden by
+// the matching RatioGauge prop.
+const PRESETS = {
+  "three-zone": {
+    needle: "line",
+    zones: 3,
+    curve: 1,
+    zoneLabels: ["Green", "Yellow", "Red"],
+  },
+  "two-zone": {
+    needle: "line",
+    zones: 2,
+    curve: 1,
+    zoneLabels: ["Good", "Bad"],
+  },
+  arrow: {
+    needle: "arrow",
+    zones: 2,
+    curve: 0.55, // exaggerate motion near the low end
+    zoneLabels: ["Good", "Bad"],
+  },
+};
+
+// green -> red ramp sampled for any zone count
+const RAMP = ["#2E7D32", "#7CB342", "#FBC02D", "#F57C00", "#D32F2F"];
+const ZONE_COLORS = {
+  1: ["#2E7D32"],
+  2: ["#2E7D32", "#D32F2F"],
+  3: ["#2E7D32", "#FBC02D", "#D32F2F"],
+};
+
+const defaultZoneColors = (n) =>
+  ZONE_COLORS[n] || Array.from({ length: n }, (_, k) => RAMP[Math.round((k / Math.max(n - 1, 1)) * (RAMP.length - 1))]);
+
+const evenStops = (n) => Array.from({ length: n - 1 }, (_, k) => (k + 1) / n);
+
+// `curve` is either a gamma exponent or a function mapping 0..1 -> 0..1.
+const applyCurve = (curve, x) => {
+  const y = typeof curve === "function" ? curve(x) : Math.pow(x, Number(curve) || 1);
+  return clamp(Number.isFinite(y) ? y : 0, 0, 1);
+};
+
+// ---------- Ratio Gauge (upward arc; needle moves) ----------
+export default function RatioGauge({
+  title,
+  value,
+  min,
+  max,
+  invertNeedle = false,
+  variant = "three-zone",
+  needle,
+  zones,
+  zoneStops,
+  zoneColors,
+  zoneLabels,
+  curve,
+  ticks = 5,
+  tickLabels = true,
+  tickFormat = (v) => v.toFixed(2),
+}) {
+  // unique per gauge: compact gauges with the same title share a page
+  const markerId = `arrow-${useId().replace(/[^A-Za-z0-9_-]/g, "")}`;
+  const preset = PRESETS[variant] || PRESETS["three-zone"];
+  const needleStyle = needle || preset.needle;
+  const gamma = curve ?? preset.curve;
+
+  // zone boundaries in needle space (0 = left, 1 = right)
+  const stops = zoneStops || evenStops(zones || preset.zones);
+  const zoneCount = stops.length + 1;
+  const colors = zoneColors || defaultZoneColors(zoneCount);
+  const labels =
+    zoneLabels || (zoneCount === preset.zones ? preset.zoneLabels : Array.from({ length: zoneCount }, () => ""));
+  const bounds = [0, ...stops, 1];
+  const bands = bounds.slice(0, -1).map((from, k) => ({
+    from,
+    to: bounds[k + 1],
+    color: colors[k % colors.length],
+    label: labels[k] || "",
+  }));
+
+  const W = 320;
+  const H = 180;
+  const pad = 16;
+  const cx = W / 2;
+  const cy = 130;
+  const r = 90;
+  const strokeW = 14;
+  const isArrow = needleStyle === "arrow";
+  const needleInset = isArrow ? 18 : 20;
+
+  const toRad = (d) => (d * Math.PI) / 180;
+
+  // top arc, 0° (right) -> 180° (left)
+  const arcPathTop = (a0, a1) => {
+    const x0 = cx + r * Math.cos(toRad(a0));
+    const y0 = cy - r * Math.sin(toRad(a0));
+    const x1 = cx + r * Math.cos(toRad(a1));
+    const y1 = cy - r * Math.sin(toRad(a1));
+    return `M ${x0} ${y0} A ${r} ${r} 0 0 0 ${x1} ${y1}`;
+  };
+
+  const denom = (max - min) || 1;
+
+  // data value -> needle position 0..1
+  const toPos = (v) => {
+    const raw01 = clamp((v - min) / denom, 0, 1);
+    return applyCurve(gamma, invertNeedle ? 1 - raw01 : raw01);
+  };
+
+  const valueNum = Number(value);
+  const pos01 = toPos(valueNum);
+
+  // 0 => left (180°), 1 => right (0°)
+  const needleA = 180 - pos01 * 180;
+  const nx = cx + (r - needleInset) * Math.cos(toRad(needleA));
+  const ny = cy - (r - needleInset) * Math.sin(toRad(needleA));
+
+  const bucket = bands.find((b) => pos01 < b.to) || bands[bands.length - 1];
+  const bucketColor = bucket.color;
+
+  const valueDisplay = Number.isFinite(valueNum) ? valueNum.toFixed(2) : "--";
+
+  // ticks evenly spaced in data units, placed through the mapping curve
+  const rangeOk = Number.isFinite(min) && Number.isFinite(max) && max > min;
+  const tickValues =
+    rangeOk && ticks > 1 ? Array.from({ length: ticks }, (_, k) => min + (k / (ticks - 1)) * (max - min)) : [];
+  const rOut = r + strokeW / 2;
+
+  return (
+    <div style={{ width: "100%" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <div style={{ fontWeight: 700, color: "#d8e1ff" }}>{title}</div>
+        <div
+          style={{
+            fontVariantNumeric: "tabular-nums",
+            color: bucketColor,
+            fontWeight: isArrow ? 900 : 800,
+            ...(isArrow ? { fontSize: 26, lineHeight: 1 } : null),
+          }}
+        >
+          {valueDisplay}
+        </div>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        width="100%"
+        height="auto"
+        preserveAspectRatio="xMidYMid meet"
+        style={{ display: "block", marginTop: 6 }}
+      >
+        {isArrow && (
+          <defs>
+            <marker id={markerId} viewBox="0 0 10 10" refX="8.5" refY="5" markerWidth="4" markerHeight="4" orient="auto">
+              <path d="M 0 1 L 8 5 L 0 9 z" fill="#d8e1ff" />
+            </marker>
+          </defs>
+        )}
+
+        {bands.map((b, k) => (
+          <path
+            key={`zone-${k}`}
+            d={arcPathTop(180 - b.to * 180, 180 - b.from * 180)}
+            stroke={b.color}
+            strokeWidth={strokeW}
+            fill="none"
+            strokeLinecap={bands.length > 3 ? "butt" : "round"}
+          />
+        ))}
+
+        <path d={arcPathTop(0, 180)} stroke="rgba(255,255,255,0.12)" strokeWidth="2" fill="none" />
+
+        {tickValues.map((v, k) => {
+          const a = toRad(180 - toPos(v) * 180);
+          const cos = Math.cos(a);
+          const sin = Math.sin(a);
+          return (
+            <g key={`tick-${k}`}>
+              <line
+                x1={cx + (rOut + 2) * cos}
+                y1={cy - (rOut + 2) * sin}
+                x2={cx + (rOut + 8) * cos}
+                y2={cy - (rOut + 8) * sin}
+                stroke="rgba(216,225,255,0.6)"
+                strokeWidth="1.5"
+              />
+              {tickLabels && (
+                <text
+                  x={cx + (rOut + 18) * cos}
+                  y={cy - (rOut + 18) * sin}
+                  fill="rgba(216,225,255,0.75)"
+                  fontSize="10"
+                  textAnchor={cos > 0.3 ? "start" : cos < -0.3 ? "end" : "middle"}
+                  dominantBaseline="middle"
+                >
+                  {tickFormat(v)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        <line
+          x1={cx}
+          y1={cy}
+          x2={nx}
+          y2={ny}
+          stroke="#d8e1ff"
+          strokeWidth={isArrow ? 4 : 3}
+          strokeLinecap="round"
+          markerEnd={isArrow ? `url(#${markerId})` : undefined}
+        />
+        <circle cx={cx} cy={cy} r="7" fill="#0b0f1a" stroke="rgba(255,255,255,0.25)" strokeWidth="2" />
+
+        {bands.map((b, k) => {
+          if (!b.label) return null;
+          const last = bands.length - 1;
+          const anchor = k === 0 ? "start" : k === last ? "end" : "middle";
+          const x = k === 0 ? pad : k === last ? W - pad : pad + ((b.from + b.to) / 2) * (W - 2 * pad);
+          return (
+            <text key={`lbl-${k}`} x={x} y={H - 12} fill="rgba(216,225,255,0.85)" fontSize="12" textAnchor={anchor}>
+              {b.label}
+            </text>
+          );
+        })}
+      </svg>
+
+      <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 12, marginTop: 2 }}>
+        Range: {Number.isFinite(min) ? min.toFixed(2) : "--"}–{Number.isFinite(max) ? max.toFixed(2) : "--"}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import { render, screen } from '@testing-library/react';
+import RatioGauge from './RatioGauge';
+
+test('three-zone preset labels each zone and ticks the range', () => {
+  render(<RatioGauge title="TAR" value={0.5} min={0} max={1} />);
+  ['Green', 'Yellow', 'Red'].forEach((z) => expect(screen.getByText(z)).toBeInTheDocument());
+  expect(screen.getByText('0.25')).toBeInTheDocument();
+  expect(screen.getByText('0.50', { selector: 'div' })).toHaveStyle({ color: '#FBC02D' });
+});
+
+test('arrow preset is two-zone with gamma-exaggerated motion', () => {
+  render(<RatioGauge title="ADR" value={0.2} min={0} max={1} variant="arrow" />);
+  expect(screen.getByText('Good')).toBeInTheDocument();
+  expect(screen.queryByText('Yellow')).toBeNull();
+  // 0.2 ** 0.55 ≈ 0.41 stays in the green half
+  expect(screen.getByText('0.20', { selector: 'div' })).toHaveStyle({ color: '#2E7D32' });
+});
+
+test('custom zone boundaries and colors override the preset', () => {
+  render(
+    <RatioGauge
+      title="X"
+      value={0.9}
+      min={0}
+      max={1}
+      zoneStops={[0.2, 0.5, 0.8]}
+      zoneColors={['#111111', '#222222', '#333333', '#444444']}
+      ticks={0}
+    />
+  );
+  expect(screen.getByText('0.90')).toHaveStyle({ color: '#444444' });
+  expect(screen.queryByText('Green')).toBeNull();
+  expect(screen.queryByText('0.50')).toBeNull();
+});
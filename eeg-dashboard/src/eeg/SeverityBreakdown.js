@@ -0,0 +1,108 @@
+import { explainSeverity, getSeverityModel, DEFAULT_SEVERITY_MODEL } from "./severity";
+
+const TERM_COLORS = ["#4FC3F7", "#FBC02D", "#F06292", "#9575CD", "#4DB6AC", "#FF8A65", "#AED581"];
+
+// ---------- Severity explainability (waterfall of weighted terms) ----------
+export default function SeverityBreakdown({ values, severityModel = DEFAULT_SEVERITY_MODEL, width = 600, height = 240 }) {
+  const model = getSeverityModel(severityModel);
+  const { severity, total, contributions } = explainSeverity(values, severityModel);
+
+  const padding = { top: 12, right: 70, bottom: 28, left: 130 };
+  const plotW = width - padding.left - padding.right;
+  const rows = [...contributions, { key: "__total", label: "Severity", value: severity }];
+  const rowH = (height - padding.top - padding.bottom) / rows.length;
+  const barH = Math.min(22, rowH * 0.7);
+
+  // waterfall x-scale covers the unclamped running total
+  const xMax = Math.max(1, total);
+  const xOf = (v) => padding.left + (v / xMax) * plotW;
+
+  let running = 0;
+
+  return (
+    <div style={{ width: "100%" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, color: "#d8e1ff", fontSize: 16 }}>Severity Breakdown</div>
+        <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 12 }}>{model.label}</div>
+      </div>
+      <div style={{ width: "100%", aspectRatio: `${width}/${height}` }}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          width="100%"
+          height="100%"
+          preserveAspectRatio="xMidYMid meet"
+          style={{ display: "block", background: "#0f1422", borderRadius: 8 }}
+        >
+          {/* clamp line at 1.0 */}
+          <line
+            x1={xOf(1)}
+            y1={padding.top}
+            x2={xOf(1)}
+            y2={height - padding.bottom}
+            stroke="rgba(255,255,255,0.35)"
+            strokeDasharray="4,4"
+          />
+          <text x={xOf(1)} y={height - 8} fill="#d8e1ff" fontSize="11" textAnchor="middle">
+            1.0
+          </text>
+          <text x={padding.left} y={height - 8} fill="#d8e1ff" fontSize="11" textAnchor="middle">
+            0
+          </text>
+
+          {rows.map((row, k) => {
+            const y = padding.top + k * rowH + (rowH - barH) / 2;
+            const isTotal = row.key === "__total";
+            const x0 = isTotal ? xOf(0) : xOf(running);
+            const x1 = isTotal ? xOf(row.value) : xOf(running + row.value);
+            if (!isTotal) running += row.value;
+
+            const share = total > 0 && !isTotal ? Math.round((row.value / total) * 100) : null;
+            const color = isTotal ? "#D32F2F" : TERM_COLORS[k % TERM_COLORS.length];
+
+            return (
+              <g key={row.key}>
+                <text
+                  x={padding.left - 10}
+                  y={y + barH / 2}
+                  fill="#d8e1ff"
+                  fontSize="12"
+                  fontWeight={isTotal ? 700 : 400}
+                  textAnchor="end"
+                  dominantBaseline="middle"
+                >
+                  {row.label}
+                </text>
+                <rect
+                  x={Math.min(x0, x1)}
+                  y={y}
+                  width={Math.max(Math.abs(x1 - x0), row.value > 0 ? 1 : 0)}
+                  height={barH}
+                  rx="3"
+                  fill={color}
+                  opacity={row.value > 0 ? 0.9 : 0.25}
+                  style={{ transition: "all 300ms ease-in-out" }}
+                />
+                <text
+                  x={width - padding.right + 8}
+                  y={y + barH / 2}
+                  fill="rgba(216,225,255,0.85)"
+                  fontSize="11"
+                  dominantBaseline="middle"
+                  style={{ fontVariantNumeric: "tabular-nums" }}
+                >
+                  {row.value.toFixed(3)}
+                  {share != null ? ` · ${share}%` : ""}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      {total > 1 && (
+        <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 11, marginTop: 4 }}>
+          Terms sum to {total.toFixed(3)}; severity is clamped to 1.0
+        </div>
+      )}
+    </div>
+  );
+}
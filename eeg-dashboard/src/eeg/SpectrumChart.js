@@ -0,0 +1,155 @@
+import { DEFAULT_BANDS_CONFIG } from "./bands";
+
+// ---------- Power spectrum (psd_mean + aperiodic fit + detrended) ----------
+const finiteRange = (arr, fallback) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of arr) {
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (min > max) return fallback;
+  if (min === max) return [min - 0.5, max + 0.5];
+  return [min, max];
+};
+
+export default function SpectrumChart({ spectrum, bands = DEFAULT_BANDS_CONFIG, width = 600, height = 360 }) {
+  const padding = { top: 28, right: 20, bottom: 36, left: 54 };
+  const trackGap = 22;
+  const plotW = width - padding.left - padding.right;
+  const plotH = height - padding.top - padding.bottom - trackGap;
+  const topH = plotH * 0.65;
+  const botH = plotH - topH;
+  const topY = padding.top;
+  const botY = padding.top + topH + trackGap;
+
+  if (!spectrum || spectrum.f.length < 2) {
+    return (
+      <div style={{ width: "100%" }}>
+        <div style={{ fontWeight: 700, color: "#d8e1ff", fontSize: 16, marginBottom: 8 }}>Power Spectrum</div>
+        <div
+          style={{
+            width: "100%",
+            aspectRatio: `${width}/${height}`,
+            display: "grid",
+            placeItems: "center",
+            background: "#0f1422",
+            borderRadius: 8,
+            color: "rgba(216,225,255,0.65)",
+          }}
+        >
+          No spectrum for this trial
+        </div>
+      </div>
+    );
+  }
+
+  const { f, psd_mean, fitted, detrended } = spectrum;
+  const logPsd = Array.from(psd_mean, (v) => (v > 0 ? Math.log10(v) : NaN));
+  const logFit = Array.from(fitted, (v) => (v > 0 ? Math.log10(v) : NaN));
+
+  const [fMin, fMax] = finiteRange(f, [0, 1]);
+  const [pMin, pMax] = finiteRange([...logPsd, ...logFit], [-1, 1]);
+  const [dMin, dMax] = finiteRange([...detrended, 1], [0, 2]);
+
+  const xOf = (hz) => padding.left + ((hz - fMin) / (fMax - fMin)) * plotW;
+  const yTop = (lp) => topY + topH - ((lp - pMin) / (pMax - pMin)) * topH;
+  const yBot = (v) => botY + botH - ((v - dMin) / (dMax - dMin)) * botH;
+
+  const linePath = (ys, yOf) => {
+    let d = "";
+    let pen = false;
+    for (let k = 0; k < f.length; k++) {
+      if (!Number.isFinite(ys[k])) {
+        pen = false;
+        continue;
+      }
+      d += `${pen ? "L" : "M"} ${xOf(f[k])} ${yOf(ys[k])} `;
+      pen = true;
+    }
+    return d.trim();
+  };
+
+  // log-power ticks on whole decades when the span allows it
+  const decades = [];
+  for (let p = Math.ceil(pMin); p <= Math.floor(pMax); p++) decades.push(p);
+  const powerTicks = decades.length >= 2 ? decades : [pMin, pMax];
+
+  const visibleBands = bands.filter((b) => b.hi > fMin && b.lo < fMax);
+
+  return (
+    <div style={{ width: "100%" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, color: "#d8e1ff", fontSize: 16 }}>Power Spectrum</div>
+        <div style={{ display: "flex", gap: 12, fontSize: 12, color: "rgba(216,225,255,0.85)" }}>
+          <span style={{ color: "#4FC3F7" }}>━ PSD</span>
+          <span style={{ color: "#F06292" }}>┅ Aperiodic fit</span>
+          <span style={{ color: "#FBC02D" }}>━ Detrended</span>
+        </div>
+      </div>
+      <div style={{ width: "100%", aspectRatio: `${width}/${height}` }}>
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          width="100%"
+          height="100%"
+          preserveAspectRatio="xMidYMid meet"
+          style={{ display: "block", background: "#0f1422", borderRadius: 8 }}
+        >
+          {/* Band shading across both tracks */}
+          {visibleBands.map((b) => {
+            const x0 = xOf(Math.max(b.lo, fMin));
+            const x1 = xOf(Math.min(b.hi, fMax));
+            return (
+              <g key={`band-${b.key}`}>
+                <rect x={x0} y={topY} width={x1 - x0} height={topH} fill={b.color} fillOpacity={0.14} />
+                <rect x={x0} y={botY} width={x1 - x0} height={botH} fill={b.color} fillOpacity={0.14} />
+                <text x={(x0 + x1) / 2} y={topY - 8} fill="#d8e1ff" fontSize="11" textAnchor="middle">
+                  {b.name}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Top track: log10 power */}
+          {powerTicks.map((p) => (
+            <g key={`pt-${p}`}>
+              <line x1={padding.left} y1={yTop(p)} x2={width - padding.right} y2={yTop(p)} stroke="rgba(255,255,255,0.1)" strokeWidth="1" />
+              <text x={padding.left - 8} y={yTop(p)} fill="#d8e1ff" fontSize="10" textAnchor="end" dominantBaseline="middle">
+                {Number.isInteger(p) ? `1e${p}` : Math.pow(10, p).toPrecision(2)}
+              </text>
+            </g>
+          ))}
+          <path d={linePath(logPsd, yTop)} stroke="#4FC3F7" strokeWidth="2.5" fill="none" />
+          <path d={linePath(logFit, yTop)} stroke="#F06292" strokeWidth="2" strokeDasharray="6,4" fill="none" />
+
+          {/* Bottom track: detrended residual (psd / fit) */}
+          <line x1={padding.left} y1={yBot(1)} x2={width - padding.right} y2={yBot(1)} stroke="rgba(255,255,255,0.35)" strokeWidth="1" strokeDasharray="3,3" />
+          <path d={linePath(detrended, yBot)} stroke="#FBC02D" strokeWidth="2" fill="none" />
+          <text x={padding.left - 8} y={yBot(dMax)} fill="#d8e1ff" fontSize="10" textAnchor="end" dominantBaseline="middle">
+            {dMax.toFixed(2)}
+          </text>
+          <text x={padding.left - 8} y={yBot(dMin)} fill="#d8e1ff" fontSize="10" textAnchor="end" dominantBaseline="middle">
+            {dMin.toFixed(2)}
+          </text>
+
+          {/* Frequency axis */}
+          {[fMin, (fMin + fMax) / 2, fMax].map((hz) => (
+            <text key={`hz-${hz}`} x={xOf(hz)} y={botY + botH + 16} fill="#d8e1ff" fontSize="11" textAnchor="middle">
+              {hz.toFixed(0)}
+            </text>
+          ))}
+          <text x={padding.left + plotW / 2} y={height - 4} fill="#d8e1ff" fontSize="12" textAnchor="middle">
+            Frequency (Hz)
+          </text>
+          <text x={14} y={topY + topH / 2} fill="#d8e1ff" fontSize="12" textAnchor="middle" transform={`rotate(-90, 14, ${topY + topH / 2})`}>
+            Power
+          </text>
+          <text x={14} y={botY + botH / 2} fill="#d8e1ff" fontSize="11" textAnchor="middle" transform={`rotate(-90, 14, ${botY + botH / 2})`}>
+            Resid.
+          </text>
+        </svg>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useMemo, useState } from "react";
+import { summarizeSubjects, filterAndSortSubjects } from "./cohort";
+
+const COLUMNS = [
+  { key: "subject", label: "Subject" },
+  { key: "trials", label: "Trials" },
+  { key: "severity", label: "Sev." },
+  { key: "ADR", label: "ADR" },
+  { key: "TAR", label: "TAR" },
+];
+
+const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : "--");
+
+// ---------- Subject sidebar (search, sort, click-to-jump) ----------
+export default function SubjectPicker({ subjects, subjectIndex, onSelect, severityModel }) {
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState({ key: "subject", dir: "asc" });
+
+  const summaries = useMemo(() => summarizeSubjects(subjects, severityModel), [subjects, severityModel]);
+  const visible = filterAndSortSubjects(summaries, { query, ...sort });
+
+  const toggleSort = (key) =>
+    setSort((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: key === "subject" ? "asc" : "desc" }));
+
+  return (
+    <aside className="subjectPicker">
+      <div style={{ fontWeight: 700, color: "#d8e1ff", marginBottom: 8 }}>
+        Subjects <span style={{ color: "rgba(216,225,255,0.65)", fontWeight: 400 }}>({summaries.length})</span>
+      </div>
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search subjects…"
+        aria-label="Search subjects"
+      />
+
+      <table>
+        <thead>
+          <tr>
+            {COLUMNS.map((c) => (
+              <th key={c.key} onClick={() => toggleSort(c.key)} aria-sort={sort.key === c.key ? `${sort.dir}ending` : "none"}>
+                {c.label}
+                {sort.key === c.key ? (sort.dir === "asc" ? " ▲" : " ▼") : ""}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((s) => (
+            <tr
+              key={s.subject}
+              className={s.index === subjectIndex ? "active" : undefined}
+              onClick={() => onSelect(s.index)}
+            >
+              <td>{s.subject}</td>
+              <td>{s.trials}</td>
+              <td>{fmt(s.severity)}</td>
+              <td>{fmt(s.ADR)}</td>
+              <td>{fmt(s.TAR)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {visible.length === 0 && (
+        <div style={{ color: "rgba(216,225,255,0.65)", fontSize: 12, marginTop: 8 }}>No subjects match “{query}”</div>
+      )}
+    </aside>
+  );
+}
@@ -0,0 +1,361 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { clamp } from "./helpers";
+import { metricValue } from "./normative";
+import { detectChangePoints, SHIFT_COLORS } from "./changepoint";
+import {
+  TREND_SCALES,
+  SERIES_COLORS,
+  DEFAULT_TREND_METRICS,
+  fullWindow,
+  clampWindow,
+  zoomWindow,
+  panWindow,
+  brushWindow,
+  niceTicks,
+  seriesExtent,
+} from "./trend";
+
+const fmt = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 100 ? v.toFixed(0) : v.toPrecision(3)) : "--");
+
+const PAD = { top: 14, right: 16, bottom: 26, left: 52 };
+const OVERVIEW_HEIGHT = 44;
+
+// Polyline path through the finite points, broken at gaps.
+function linePath(points) {
+  let d = "";
+  let pen = false;
+  points.forEach(([x, y]) => {
+    if (!Number.isFinite(y)) {
+      pen = false;
+      return;
+    }
+    d += `${pen ? "L" : "M"} ${x.toFixed(1)} ${y.toFixed(1)} `;
+    pen = true;
+  });
+  return d.trim();
+}
+
+// Fraction 0..1 of the pointer across an svg's drawn width.
+const pointerFrac = (svg, clientX, width, left, right) => {
+  const box = svg.getBoundingClientRect();
+  const x = box.width > 0 ? ((clientX - box.left) / box.width) * width : left;
+  return clamp((x - left) / (width - left - right), 0, 1);
+};
+
+// ---------- Multi-metric trend chart for the current subject ----------
+// `metrics` are { key, label } (see alertMetrics); `bands` lend their colors.
+// The overview strip below shows the whole subject: drag across it to pick a
+// window, drag the window to pan. The wheel zooms around the pointer, hover
+// shows every plotted value at that trial and a click seeks to it.
+export default function TrendChart({
+  trials,
+  index,
+  metrics,
+  bands = [],
+  severityModel,
+  changeMethod = "pelt",
+  onSeek,
+  width = 640,
+  height = 240,
+}) {
+  const n = trials.length;
+  const [selected, setSelected] = useState(() => {
+    const keys = metrics.map((m) => m.key);
+    const preferred = DEFAULT_TREND_METRICS.filter((k) => keys.includes(k));
+    return preferred.length ? preferred : keys.slice(0, 3);
+  });
+  const [scale, setScale] = useState("normalized");
+  const [showChanges, setShowChanges] = useState(true);
+  const [win, setWin] = useState(() => fullWindow(n));
+  const [hover, setHover] = useState(null);
+  const mainRef = useRef(null);
+  const overviewRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const plotW = width - PAD.left - PAD.right;
+  const plotH = height - PAD.top - PAD.bottom;
+
+  const series = useMemo(
+    () =>
+      metrics
+        .map((m, k) => ({ ...m, color: bands.find((b) => b.key === m.key)?.color || SERIES_COLORS[k % SERIES_COLORS.length] }))
+        .filter((m) => selected.includes(m.key))
+        .map((m) => {
+          const values = trials.map((t) => metricValue(t, m.key, severityModel));
+          return {
+            ...m,
+            values,
+            changes: detectChangePoints(values, { method: changeMethod }),
+          };
+        }),
+    [metrics, selected, trials, bands, severityModel, changeMethod]
+  );
+
+  // wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const svg = mainRef.current;
+    if (!svg) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const frac = pointerFrac(svg, e.clientX, width, PAD.left, PAD.right);
+      const factor = e.deltaY > 0 ? 1.25 : 0.8;
+      setWin((w) => {
+        const v = clampWindow(w, n);
+        return zoomWindow(v, v.start + frac * (v.end - v.start), factor, n);
+      });
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [n, width]);
+
+  if (n === 0) return null;
+
+  // the subject can shrink under a kept window (e.g. a new dataset reusing the id)
+  const view = clampWindow(win, n);
+  const { start, end } = view;
+  const span = Math.max(end - start, 1);
+  const xOf = (k) => PAD.left + ((k - start) / span) * plotW;
+  // one trial either side of the window so lines run off the clipped edges
+  const from = Math.max(start - 1, 0);
+
+  // y scales over the visible window
+  const visible = (values) => values.slice(start, end + 1);
+  const shared = seriesExtent(series.flatMap((s) => visible(s.values)));
+  const scaled = series.map((s) => {
+    const [lo, hi] = scale === "shared" ? shared : seriesExtent(visible(s.values));
+    const yOf = (v) => PAD.top + plotH - ((v - lo) / (hi - lo)) * plotH;
+    return { ...s, yOf };
+  });
+
+  const yTicks =
+    scale === "shared"
+      ? niceTicks(shared[0], shared[1], 5)
+          .filter((v) => v >= shared[0] && v <= shared[1])
+          .map((v) => ({ y: PAD.top + plotH - ((v - shared[0]) / (shared[1] - shared[0])) * plotH, label: fmt(v) }))
+      : [0, 0.25, 0.5, 0.75, 1].map((f) => ({ y: PAD.top + plotH * (1 - f), label: `${f * 100}%` }));
+  const xTicks = niceTicks(start, end, 6).filter((k) => Number.isInteger(k) && k >= start && k <= end);
+
+  const trialAt = (clientX) =>
+    clamp(Math.round(start + pointerFrac(mainRef.current, clientX, width, PAD.left, PAD.right) * span), start, end);
+
+  // overview strip: whole subject, each series on its own range
+  const oxOf = (k) => PAD.left + (k / Math.max(n - 1, 1)) * plotW;
+  const overviewAt = (clientX) =>
+    Math.round(pointerFrac(overviewRef.current, clientX, width, PAD.left, PAD.right) * Math.max(n - 1, 1));
+
+  const onOverviewDown = (e) => {
+    const k = overviewAt(e.clientX);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    if (k >= start && k <= end) {
+      dragRef.current = { mode: "pan", anchor: k, origin: view };
+    } else {
+      dragRef.current = { mode: "brush", anchor: k };
+      setWin(brushWindow(k, k, n));
+    }
+  };
+  const onOverviewMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const k = overviewAt(e.clientX);
+    setWin(drag.mode === "pan" ? panWindow(drag.origin, k - drag.anchor, n) : brushWindow(drag.anchor, k, n));
+  };
+  const onOverviewUp = (e) => {
+    dragRef.current = null;
+    e.currentTarget.releasePointerCapture?.(e.pointerId);
+  };
+
+  const toggle = (key) =>
+    setSelected((keys) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]));
+
+  const zoomed = start > 0 || end < n - 1;
+  const hx = hover != null && hover < n ? xOf(hover) : null;
+  const tipLeft = hx != null ? (hx / width) * 100 : 0;
+
+  return (
+    <div style={{ width: "100%", color: "#d8e1ff" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", gap: 8, marginBottom: 8 }}>
+        <div style={{ fontWeight: 700, fontSize: 16 }}>Trends</div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <label className="auditNote">
+            <input type="checkbox" checked={showChanges} onChange={(e) => setShowChanges(e.target.checked)} /> change points
+          </label>
+          <select className="panelSelect" value={scale} onChange={(e) => setScale(e.target.value)} aria-label="Trend scale">
+            {Object.entries(TREND_SCALES).map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button className="panelSelect" onClick={() => setWin(fullWindow(n))} disabled={!zoomed}>
+            Reset zoom
+          </button>
+        </div>
+      </div>
+
+      <div className="trendToggles">
+        {metrics.map((m) => {
+          const s = series.find((x) => x.key === m.key);
+          return (
+            <label key={m.key} className="trendToggle" style={s ? { borderColor: s.color } : undefined}>
+              <input type="checkbox" checked={Boolean(s)} onChange={() => toggle(m.key)} />
+              {m.label}
+            </label>
+          );
+        })}
+      </div>
+
+      <div style={{ position: "relative" }}>
+        <svg
+          ref={mainRef}
+          viewBox={`0 0 ${width} ${height}`}
+          width="100%"
+          role="img"
+          aria-label="Trend chart"
+          style={{ display: "block", background: "#0f1422", borderRadius: 8, cursor: "crosshair", touchAction: "none" }}
+          onMouseMove={(e) => setHover(trialAt(e.clientX))}
+          onMouseLeave={() => setHover(null)}
+          onClick={onSeek ? (e) => onSeek(trialAt(e.clientX)) : undefined}
+        >
+          <defs>
+            <clipPath id="trendPlot">
+              <rect x={PAD.left} y={PAD.top - 4} width={plotW} height={plotH + 8} />
+            </clipPath>
+          </defs>
+
+          {yTicks.map((t) => (
+            <g key={`y-${t.label}`}>
+              <line x1={PAD.left} x2={width - PAD.right} y1={t.y} y2={t.y} stroke="rgba(255,255,255,0.1)" />
+              <text x={PAD.left - 6} y={t.y} fill="#d8e1ff" fontSize="10" textAnchor="end" dominantBaseline="middle">
+                {t.label}
+              </text>
+            </g>
+          ))}
+          {xTicks.map((k) => (
+            <text key={`x-${k}`} x={xOf(k)} y={height - 8} fill="#d8e1ff" fontSize="10" textAnchor="middle">
+              {trials[k].t}
+            </text>
+          ))}
+
+          <g clipPath="url(#trendPlot)">
+            {showChanges &&
+              scaled.flatMap((s) =>
+                s.changes
+                  .filter((c) => c.index > start && c.index <= end)
+                  .map((c) => (
+                    <g key={`cp-${s.key}-${c.index}`}>
+                      <line
+                        x1={xOf(c.index - 0.5)}
+                        x2={xOf(c.index - 0.5)}
+                        y1={PAD.top}
+                        y2={PAD.top + plotH}
+                        stroke={s.color}
+                        strokeDasharray="4 3"
+                        strokeOpacity="0.7"
+                      />
+                      <text x={xOf(c.index - 0.5)} y={PAD.top + 8} fill={SHIFT_COLORS[c.direction]} fontSize="9" textAnchor="middle">
+                        {c.direction === "up" ? "▲" : "▼"}
+                      </text>
+                    </g>
+                  ))
+              )}
+
+            {scaled.map((s) => (
+              <path
+                key={s.key}
+                d={linePath(s.values.slice(from, end + 2).map((v, j) => [xOf(from + j), s.yOf(v)]))}
+                stroke={s.color}
+                strokeWidth="2"
+                fill="none"
+              />
+            ))}
+
+            {index >= start && index <= end && (
+              <line x1={xOf(index)} x2={xOf(index)} y1={PAD.top} y2={PAD.top + plotH} stroke="rgba(255,255,255,0.45)" />
+            )}
+
+            {hx != null && (
+              <g pointerEvents="none">
+                <line x1={hx} x2={hx} y1={PAD.top} y2={PAD.top + plotH} stroke="#fff" strokeOpacity="0.6" strokeDasharray="2 2" />
+                {scaled.map((s) =>
+                  Number.isFinite(s.values[hover]) ? (
+                    <circle key={`dot-${s.key}`} cx={hx} cy={s.yOf(s.values[hover])} r="3.5" fill={s.color} stroke="#0f1422" />
+                  ) : null
+                )}
+              </g>
+            )}
+          </g>
+        </svg>
+
+        {hx != null && (
+          <div
+            className="trendTooltip"
+            role="tooltip"
+            style={{ left: `${tipLeft}%`, transform: `translateX(${tipLeft > 60 ? "-105%" : "5%"})` }}
+          >
+            <div style={{ fontWeight: 700 }}>Trial {trials[hover].t}</div>
+            {scaled.map((s) => {
+              const change = s.changes.find((c) => c.index === hover);
+              return (
+                <div key={`tip-${s.key}`}>
+                  <span className="trendSwatch" style={{ background: s.color }} />
+                  {s.label}: {fmt(s.values[hover])}
+                  {change && (
+                    <span style={{ color: SHIFT_COLORS[change.direction] }}>
+                      {" "}
+                      {change.direction === "up" ? "▲" : "▼"} shift {change.shift >= 0 ? "+" : ""}
+                      {fmt(change.shift)}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <svg
+        ref={overviewRef}
+        viewBox={`0 0 ${width} ${OVERVIEW_HEIGHT}`}
+        width="100%"
+        role="slider"
+        aria-label="Trend window"
+        aria-valuemin={0}
+        aria-valuemax={n - 1}
+        aria-valuenow={start}
+        aria-valuetext={`Trials ${trials[start].t}–${trials[end].t}`}
+        style={{ display: "block", marginTop: 6, cursor: "ew-resize", touchAction: "none", userSelect: "none" }}
+        onPointerDown={onOverviewDown}
+        onPointerMove={onOverviewMove}
+        onPointerUp={onOverviewUp}
+        onPointerCancel={onOverviewUp}
+      >
+        <rect x={PAD.left} y={2} width={plotW} height={OVERVIEW_HEIGHT - 4} rx={4} fill="rgba(255,255,255,0.05)" />
+        {series.map((s) => {
+          const [lo, hi] = seriesExtent(s.values);
+          const oy = (v) => OVERVIEW_HEIGHT - 4 - ((v - lo) / (hi - lo)) * (OVERVIEW_HEIGHT - 8);
+          return (
+            <path
+              key={`o-${s.key}`}
+              d={linePath(s.values.map((v, k) => [oxOf(k), oy(v)]))}
+              stroke={s.color}
+              strokeOpacity="0.6"
+              strokeWidth="1"
+              fill="none"
+            />
+          );
+        })}
+        <line x1={oxOf(index)} x2={oxOf(index)} y1={2} y2={OVERVIEW_HEIGHT - 2} stroke="rgba(255,255,255,0.45)" />
+        <rect
+          x={oxOf(start)}
+          y={1}
+          width={Math.max(oxOf(end) - oxOf(start), 2)}
+          height={OVERVIEW_HEIGHT - 2}
+          rx={4}
+          fill="rgba(37,99,235,0.25)"
+          stroke="#2563eb"
+          style={{ cursor: "grab" }}
+        />
+      </svg>
+    </div>
+  );
+}
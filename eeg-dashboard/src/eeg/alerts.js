@@ -0,0 +1,179 @@
+import { normMetrics, metricValue } from "./normative";
+
+// ---------- Rule-based alerting ----------
+// A rule fires once `metric` has been past `threshold` (in `direction`) for
+// `sustain` consecutive trials, and only clears once the value is back by
+// more than `hysteresis`, so a value hovering at the threshold doesn't
+// flap. Raised alerts go into a log that outlives the condition.
+
+export const ALERT_LEVELS = { warning: "Warning", critical: "Critical" };
+export const ALERT_DIRECTIONS = { above: "rises above", below: "falls below" };
+
+// Every band, ratio and severity (see normMetrics) plus the aperiodic slope and BSI.
+export const alertMetrics = (bands, ratios) => [
+  ...normMetrics(bands, ratios),
+  { key: "slope", label: "Aperiodic slope", kind: "slope" },
+  { key: "bsi", label: "BSI", kind: "bsi" },
+];
+
+export const DEFAULT_ALERT_RULES = [
+  { id: "severity-high", name: "High severity", metric: "severity", direction: "above", threshold: 0.6, sustain: 3, hysteresis: 0.05, level: "critical", enabled: true },
+  { id: "adr-low", name: "Low ADR", metric: "ADR", direction: "below", threshold: 0.5, sustain: 3, hysteresis: 0.05, level: "warning", enabled: true },
+];
+
+// Throws on an unusable rule; returns it with numbers coerced.
+export function validateAlertRule(rule) {
+  const name = String(rule?.name || "").trim();
+  if (!name) throw new Error("Rule name is required");
+  if (!rule.metric) throw new Error(`Rule "${name}" needs a metric`);
+  if (!ALERT_DIRECTIONS[rule.direction]) throw new Error(`Rule "${name}": direction must be "above" or "below"`);
+  if (!ALERT_LEVELS[rule.level]) throw new Error(`Rule "${name}": unknown level "${rule.level}"`);
+
+  const threshold = Number(rule.threshold);
+  const sustain = Number(rule.sustain);
+  const hysteresis = Number(rule.hysteresis);
+  if (!Number.isFinite(threshold)) throw new Error(`Rule "${name}": threshold must be a number`);
+  if (!(Number.isInteger(sustain) && sustain >= 1)) throw new Error(`Rule "${name}": sustain must be a whole number of trials >= 1`);
+  if (!(Number.isFinite(hysteresis) && hysteresis >= 0)) throw new Error(`Rule "${name}": hysteresis must be >= 0`);
+
+  return { ...rule, name, threshold, sustain, hysteresis, enabled: rule.enabled !== false };
+}
+
+const breaches = ({ direction, threshold }, v) => (direction === "above" ? v > threshold : v < threshold);
+const recovered = ({ direction, threshold, hysteresis }, v) =>
+  direction === "above" ? v < threshold - hysteresis : v > threshold + hysteresis;
+
+const IDLE = { active: false, count: 0 };
+
+// One trial through one rule: (state, value) -> { state, event: "raise" | "clear" | null }.
+// Non-finite values leave the state alone.
+export function stepRule(rule, state = IDLE, value) {
+  if (!Number.isFinite(value)) return { state, event: null };
+  if (state.active) {
+    return recovered(rule, value) ? { state: IDLE, event: "clear" } : { state, event: null };
+  }
+  const count = breaches(rule, value) ? state.count + 1 : 0;
+  return count >= rule.sustain ? { state: { active: true, count }, event: "raise" } : { state: { active: false, count }, event: null };
+}
+
+// Stateful evaluator over a stream of trials. `step(subject, trial)`
+// returns the events it caused as [{ type, rule, value }]; `reset(subject)`
+// forgets a subject's state (e.g. after seeking backwards).
+export function createAlertEngine(rules, { severityModel } = {}) {
+  const live = rules.filter((r) => r.enabled !== false);
+  const states = new Map(); // subject -> [state per rule]
+
+  return {
+    step(subject, trial) {
+      const prev = states.get(subject) || live.map(() => IDLE);
+      const events = [];
+      const next = live.map((rule, k) => {
+        const value = metricValue(trial, rule.metric, severityModel);
+        const { state, event } = stepRule(rule, prev[k], value);
+        if (event) events.push({ type: event, rule, value });
+        return state;
+      });
+      states.set(subject, next);
+      return events;
+    },
+    reset(subject) {
+      states.delete(subject);
+    },
+    isActive(subject, ruleId) {
+      const k = live.findIndex((r) => r.id === ruleId);
+      return k >= 0 && Boolean(states.get(subject)?.[k]?.active);
+    },
+  };
+}
+
+// ---------- Alert log ----------
+// Entries: { id, ruleId, name, level, metric, direction, threshold,
+// datasetId, dataset, subject, trial, value, raisedAt, clearedAt,
+// clearedTrial, status } with status
+// "new" | "acknowledged" | "dismissed". Timestamps are ISO strings.
+export const MAX_LOG_ENTRIES = 500;
+
+let seq = 0;
+const entryId = () => `alert-${Date.now().toString(36)}-${(seq++).toString(36)}`;
+
+// Applies engine events for `subject` of dataset `datasetId` (display name
+// `dataset`) at `trial` to the log (newest first).
+export function applyAlertEvents(log, events, { datasetId = null, dataset = null, subject, trial, now = new Date() }) {
+  let next = log;
+  events.forEach(({ type, rule, value }) => {
+    if (type === "raise") {
+      const entry = {
+        id: entryId(),
+        ruleId: rule.id,
+        name: rule.name,
+        level: rule.level,
+        metric: rule.metric,
+        direction: rule.direction,
+        threshold: rule.threshold,
+        datasetId,
+        dataset,
+        subject,
+        trial,
+        value,
+        raisedAt: now.toISOString(),
+        clearedAt: null,
+        clearedTrial: null,
+        status: "new",
+      };
+      next = [entry, ...next].slice(0, MAX_LOG_ENTRIES);
+    } else {
+      // the open alert for this rule and subject is the newest uncleared one
+      const k = next.findIndex(
+        (e) => e.ruleId === rule.id && (e.datasetId ?? null) === datasetId && e.subject === subject && !e.clearedAt
+      );
+      if (k >= 0) {
+        next = next.slice();
+        next[k] = { ...next[k], clearedAt: now.toISOString(), clearedTrial: trial };
+      }
+    }
+  });
+  return next;
+}
+
+export const setAlertStatus = (log, id, status) => log.map((e) => (e.id === id ? { ...e, status } : e));
+
+// Unacknowledged alerts for the banner, critical first, then newest first.
+export function bannerAlerts(log) {
+  const rank = (e) => (e.level === "critical" ? 0 : 1);
+  return log.filter((e) => e.status === "new").sort((a, b) => rank(a) - rank(b) || b.raisedAt.localeCompare(a.raisedAt));
+}
+
+const RULES_KEY = "eeg-dashboard.alertRules";
+const LOG_KEY = "eeg-dashboard.alertLog";
+
+const loadJSON = (key, fallback) => {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(key) || "null");
+    return Array.isArray(raw) ? raw : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Saved rules (invalid ones dropped), or the defaults when nothing is saved.
+export function loadAlertRules() {
+  return loadJSON(RULES_KEY, DEFAULT_ALERT_RULES).flatMap((r) => {
+    try {
+      return [validateAlertRule(r)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+export function saveAlertRules(rules) {
+  window.localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+  return rules;
+}
+
+export const loadAlertLog = () => loadJSON(LOG_KEY, []).filter((e) => e && e.id && e.raisedAt);
+
+export function saveAlertLog(log) {
+  window.localStorage.setItem(LOG_KEY, JSON.stringify(log.slice(0, MAX_LOG_ENTRIES)));
+  return log;
+}
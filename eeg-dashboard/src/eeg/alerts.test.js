@@ -0,0 +1,99 @@
+import { renderHook, act } from '@testing-library/react';
+import {
+  stepRule,
+  createAlertEngine,
+  applyAlertEvents,
+  bannerAlerts,
+  setAlertStatus,
+  validateAlertRule,
+  loadAlertRules,
+  saveAlertRules,
+  DEFAULT_ALERT_RULES,
+} from './alerts';
+import useAlerts from './useAlerts';
+
+const rule = { id: 'r', name: 'High ADR', metric: 'ADR', direction: 'above', threshold: 1, sustain: 2, hysteresis: 0.2, level: 'warning' };
+
+const run = (values, r = rule) => {
+  let state;
+  return values.map((v) => {
+    const out = stepRule(r, state, v);
+    state = out.state;
+    return out.event;
+  });
+};
+
+afterEach(() => window.localStorage.clear());
+
+test('fires after the sustained count and clears only past the hysteresis band', () => {
+  expect(run([1.5, 0.9, 1.5, 1.5, 0.9, 0.85, 0.7, 1.1])).toEqual([null, null, null, 'raise', null, null, 'clear', null]);
+  expect(run([0.5, 0.4], { ...rule, direction: 'below', threshold: 0.6, sustain: 1 })).toEqual(['raise', null]);
+  expect(run([1.5, NaN, 1.5])).toEqual([null, null, 'raise']); // missing values don't break the run
+});
+
+test('the engine keeps state per subject and reads severity', () => {
+  const engine = createAlertEngine([rule, { ...rule, id: 's', metric: 'severity', threshold: 0.5, sustain: 1 }]);
+  expect(engine.step('a', { ADR: 2 })).toEqual([]);
+  expect(engine.step('b', { ADR: 2 })).toEqual([]);
+  const events = engine.step('a', { ADR: 2, alpha: 2, theta: 12, delta: 12 });
+  expect(events.map((e) => [e.type, e.rule.id])).toEqual([['raise', 'r'], ['raise', 's']]);
+  expect(engine.isActive('a', 'r')).toBe(true);
+  engine.reset('a');
+  expect(engine.isActive('a', 'r')).toBe(false);
+});
+
+test('the log records raise and clear, newest first, and the banner skips handled alerts', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+  let log = applyAlertEvents([], [{ type: 'raise', rule, value: 1.4 }], { subject: 's1', trial: 3, now });
+  log = applyAlertEvents(log, [{ type: 'raise', rule: { ...rule, id: 'c', level: 'critical' }, value: 9 }], { subject: 's1', trial: 4, now });
+  log = applyAlertEvents(log, [{ type: 'clear', rule, value: 0.5 }], { subject: 's1', trial: 6, now });
+
+  expect(log.map((e) => e.ruleId)).toEqual(['c', 'r']);
+  expect(log[1]).toMatchObject({ trial: 3, value: 1.4, raisedAt: '2026-01-01T10:00:00.000Z', clearedTrial: 6, status: 'new' });
+  expect(bannerAlerts(log).map((e) => e.ruleId)).toEqual(['c', 'r']);
+  expect(bannerAlerts(setAlertStatus(log, log[0].id, 'acknowledged')).map((e) => e.ruleId)).toEqual(['r']);
+});
+
+test('rules are validated and persisted', () => {
+  expect(() => validateAlertRule({ ...rule, sustain: 0 })).toThrow('sustain');
+  expect(() => validateAlertRule({ ...rule, direction: 'sideways' })).toThrow('direction');
+  expect(validateAlertRule({ ...rule, threshold: '2.5' }).threshold).toBe(2.5);
+
+  expect(loadAlertRules()).toEqual(DEFAULT_ALERT_RULES);
+  saveAlertRules([rule, { ...rule, id: 'bad', name: '' }]);
+  expect(loadAlertRules()).toEqual([{ ...rule, enabled: true }]);
+});
+
+test('useAlerts evaluates trials as the playhead advances and replays silently on seek back', () => {
+  saveAlertRules([{ ...rule, sustain: 1 }]);
+  const trials = [{ subject: 's', t: 0, ADR: 2 }, { subject: 's', t: 1, ADR: 0.5 }, { subject: 's', t: 2, ADR: 2 }];
+  const { result, rerender } = renderHook(({ i }) => useAlerts({ current: trials, i }), { initialProps: { i: 0 } });
+
+  expect(result.current.log.map((e) => e.trial)).toEqual([0]);
+  rerender({ i: 2 }); // skipping ahead still evaluates trial 1 (clear) and 2 (raise)
+  expect(result.current.log.map((e) => [e.trial, e.clearedTrial])).toEqual([[2, null], [0, 1]]);
+  rerender({ i: 0 }); // back to the start (or a loop): already-reached trials aren't logged again
+  rerender({ i: 2 });
+  expect(result.current.log).toHaveLength(2);
+
+  act(() => result.current.acknowledgeAll());
+  expect(result.current.log.every((e) => e.status === 'acknowledged')).toBe(true);
+  expect(JSON.parse(window.localStorage.getItem('eeg-dashboard.alertLog'))).toHaveLength(2);
+});
+
+test('useAlerts keeps subjects of different datasets apart', () => {
+  saveAlertRules([{ ...rule, sustain: 1 }]);
+  const trials = [{ subject: 'sub-01', t: 0, ADR: 0.5 }, { subject: 'sub-01', t: 1, ADR: 2 }];
+  const other = trials.map((r) => ({ ...r }));
+  const { result, rerender } = renderHook((props) => useAlerts(props), {
+    initialProps: { current: trials, i: 1, datasetId: 'ds-1', datasetName: 'a.csv' },
+  });
+  expect(result.current.log).toHaveLength(1);
+
+  // same subject name in another dataset: not treated as already logged
+  rerender({ current: other, i: 1, datasetId: 'ds-2', datasetName: 'b.csv' });
+  expect(result.current.log.map((e) => [e.datasetId, e.dataset, e.subject])).toEqual([
+    ['ds-2', 'b.csv', 'sub-01'],
+    ['ds-1', 'a.csv', 'sub-01'],
+  ]);
+});
@@ -0,0 +1,65 @@
+// ---------- Aperiodic (1/f) fit ----------
+// Least-squares line through log10(power) vs log10(frequency):
+//   log10(P) = offset - exponent * log10(f)
+// so slope = -exponent. Only bins inside [fMin, fMax] with positive power
+// are used.
+
+export const DEFAULT_APERIODIC_OPTIONS = {
+  fMin: 2,
+  fMax: 40,
+  source: "psd_mean", // or "fitted"
+};
+
+const EMPTY_FIT = { exponent: NaN, offset: NaN, slope: NaN, r2: NaN, n: 0 };
+
+export function fitAperiodic(f, power, { fMin = 2, fMax = 40 } = {}) {
+  if (!f || !power) return EMPTY_FIT;
+
+  const xs = [];
+  const ys = [];
+  const n0 = Math.min(f.length, power.length);
+  for (let k = 0; k < n0; k++) {
+    const hz = f[k];
+    const p = power[k];
+    if (!(hz > 0) || !(p > 0) || hz < fMin || hz > fMax) continue;
+    xs.push(Math.log10(hz));
+    ys.push(Math.log10(p));
+  }
+
+  const n = xs.length;
+  if (n < 2) return { ...EMPTY_FIT, n };
+
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (let k = 0; k < n; k++) {
+    const dx = xs[k] - mx;
+    const dy = ys[k] - my;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+  if (sxx === 0) return { ...EMPTY_FIT, n };
+
+  const slope = sxy / sxx;
+  const offset = my - slope * mx;
+
+  let ssRes = 0;
+  for (let k = 0; k < n; k++) {
+    const e = ys[k] - (offset + slope * xs[k]);
+    ssRes += e * e;
+  }
+  const r2 = syy === 0 ? 1 : 1 - ssRes / syy;
+
+  return { exponent: -slope, offset, slope, r2, n };
+}
+
+// Fit a trial's parsed spectrum (see spectrum.js) using `options.source`.
+export function fitTrialAperiodic(spectrum, options = {}) {
+  const opts = { ...DEFAULT_APERIODIC_OPTIONS, ...options };
+  if (!spectrum) return EMPTY_FIT;
+  return fitAperiodic(spectrum.f, spectrum[opts.source], opts);
+}
@@ -0,0 +1,32 @@
+import { fitAperiodic, fitTrialAperiodic } from './aperiodic';
+
+const f = Float64Array.from({ length: 23 }, (_, k) => 1.953125 * (k + 1));
+const powerLaw = (offset, exponent) =>
+  f.map((hz) => Math.pow(10, offset) * Math.pow(hz, -exponent));
+
+test('recovers exponent and offset of a clean power law', () => {
+  const fit = fitAperiodic(f, powerLaw(1.5, 1.2), { fMin: 1, fMax: 50 });
+  expect(fit.exponent).toBeCloseTo(1.2, 6);
+  expect(fit.slope).toBeCloseTo(-1.2, 6);
+  expect(fit.offset).toBeCloseTo(1.5, 6);
+  expect(fit.r2).toBeCloseTo(1, 6);
+  expect(fit.n).toBe(23);
+});
+
+test('restricts the fit to the configured frequency range', () => {
+  const fit = fitAperiodic(f, powerLaw(0, 2), { fMin: 5, fMax: 10 });
+  expect(fit.n).toBe(3);
+});
+
+test('returns NaN when too few usable bins remain', () => {
+  const fit = fitAperiodic(f, powerLaw(0, 2), { fMin: 100, fMax: 200 });
+  expect(Number.isNaN(fit.exponent)).toBe(true);
+  expect(fit.n).toBe(0);
+});
+
+test('fits the selected spectrum column of a trial', () => {
+  const spectrum = { f, psd_mean: powerLaw(0, 1), fitted: powerLaw(0, 3) };
+  expect(fitTrialAperiodic(spectrum).exponent).toBeCloseTo(1, 6);
+  expect(fitTrialAperiodic(spectrum, { source: 'fitted' }).exponent).toBeCloseTo(3, 6);
+  expect(fitTrialAperiodic(null).n).toBe(0);
+});
@@ -0,0 +1,96 @@
+import { computeRatio } from "./ratios";
+
+// ---------- Derived metric vs. source column audit ----------
+// Every ratio is recomputed from the trial's band values and compared with a
+// source column of the same name (e.g. the CSV's own "ADR"). A row agrees
+// when |computed - source| <= abs + rel * |source| (numpy.isclose style).
+
+export const DEFAULT_TOLERANCE = { rel: 1e-3, abs: 1e-6 };
+
+export const RATIO_SOURCES = {
+  computed: "Computed from bands",
+  csv: "Source column (when present)",
+};
+
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Source column names seen on any subject's first trial.
+export function datasetColumns(subjects) {
+  const names = new Set();
+  subjects.forEach((trials) => Object.keys(trials[0]?.columns || {}).forEach((c) => names.add(c)));
+  return [...names];
+}
+
+// Column matching a ratio's key or label ("ADR" for "ADR (Alpha/Delta)"), or null.
+export function sourceColumnFor(ratio, columnNames) {
+  const wanted = [ratio.key, ratio.label, String(ratio.label || "").split(" (")[0]].map(norm).filter(Boolean);
+  return columnNames.find((c) => wanted.includes(norm(c))) ?? null;
+}
+
+// Ratios with `column` set wherever a source column matches.
+export function withSourceColumns(ratios, columnNames) {
+  return ratios.map((r) => {
+    const column = sourceColumnFor(r, columnNames);
+    return column ? { ...r, column } : r;
+  });
+}
+
+export const withinTolerance = (computed, source, { rel, abs } = DEFAULT_TOLERANCE) =>
+  Math.abs(computed - source) <= abs + rel * Math.abs(source);
+
+// -> {
+//   metrics:  [{ key, label, column, rows, mismatches, maxAbsError, maxRelError }]
+//   subjects: [{ subject, index, rows, mismatches, maxRelError }]  (index into `subjects`)
+//   rows:     [{ subject, t, key, label, column, computed, source, absError, relError }] (mismatches only)
+// }
+// Ratios without a matching column are left out; rows where the column
+// isn't a finite number are skipped.
+export function auditDataset(subjects, ratios, tolerance = DEFAULT_TOLERANCE) {
+  const names = datasetColumns(subjects);
+  const pairs = ratios.map((r) => ({ ratio: r, column: sourceColumnFor(r, names) })).filter((p) => p.column);
+  const metrics = pairs.map(({ ratio, column }) => ({
+    key: ratio.key,
+    label: ratio.label,
+    column,
+    rows: 0,
+    mismatches: 0,
+    maxAbsError: 0,
+    maxRelError: 0,
+  }));
+  const bySubject = [];
+  const rows = [];
+
+  subjects.forEach((trials, index) => {
+    const summary = { subject: trials[0]?.subject, index, rows: 0, mismatches: 0, maxRelError: 0 };
+
+    trials.forEach((trial) => {
+      pairs.forEach(({ ratio, column }, k) => {
+        const source = Number(trial.columns?.[column]);
+        if (!Number.isFinite(source)) return;
+
+        const computed = computeRatio(trial, ratio);
+        const absError = Math.abs(computed - source);
+        const relError = absError / Math.max(Math.abs(source), 1e-12);
+        const ok = Number.isFinite(computed) && withinTolerance(computed, source, tolerance);
+        const m = metrics[k];
+
+        m.rows += 1;
+        summary.rows += 1;
+        if (Number.isFinite(absError)) {
+          m.maxAbsError = Math.max(m.maxAbsError, absError);
+          m.maxRelError = Math.max(m.maxRelError, relError);
+          summary.maxRelError = Math.max(summary.maxRelError, relError);
+        }
+        if (ok) return;
+
+        m.mismatches += 1;
+        summary.mismatches += 1;
+        rows.push({ subject: trial.subject, t: trial.t, key: ratio.key, label: ratio.label, column, computed, source, absError, relError });
+      });
+    });
+
+    if (summary.rows > 0) bySubject.push(summary);
+  });
+
+  return { metrics, subjects: bySubject, rows };
+}
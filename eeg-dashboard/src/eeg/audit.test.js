@@ -0,0 +1,58 @@
+import { render, screen } from '@testing-library/react';
+import { auditDataset, sourceColumnFor, withSourceColumns, withinTolerance } from './audit';
+import { buildDataset } from './loader';
+import { BUILTIN_RATIOS, computeRatios } from './ratios';
+import DataAudit from './DataAudit';
+
+const row = (subject, trial, Alpha, Delta, ADR) => ({ subject_number: subject, trial_number: trial, Alpha, Beta: 1, Theta: 1, Delta, ADR });
+const dataset = (rows) => buildDataset({ data: rows, meta: { fields: Object.keys(rows[0]) } });
+
+test('matches source columns by ratio key or label', () => {
+  const [ADR, TAR] = BUILTIN_RATIOS;
+  expect(sourceColumnFor(ADR, ['Alpha', 'adr'])).toBe('adr');
+  expect(sourceColumnFor(TAR, ['Alpha', 'ADR'])).toBeNull();
+  expect(sourceColumnFor({ key: 'custom_bar', label: 'Beta/Alpha' }, ['beta_alpha'])).toBe('beta_alpha');
+  expect(withSourceColumns([ADR, TAR], ['ADR']).map((r) => r.column)).toEqual(['ADR', undefined]);
+});
+
+test('tolerance is absolute plus relative to the source value', () => {
+  expect(withinTolerance(1.0005, 1, { rel: 1e-3, abs: 0 })).toBe(true);
+  expect(withinTolerance(1.002, 1, { rel: 1e-3, abs: 0 })).toBe(false);
+  expect(withinTolerance(0.05, 0, { rel: 1e-3, abs: 0.1 })).toBe(true);
+});
+
+test('reports per-metric, per-subject and per-row discrepancies', () => {
+  const { subjects } = dataset([
+    row('s1', 0, 1, 2, 0.5),
+    row('s1', 1, 1, 0.05, 20), // CSV divided by the raw delta; computed ratio floors it at 0.1
+    row('s2', 0, 3, 1, 3),
+    row('s2', 1, 3, 1, ''), // blank source cell is skipped
+  ]);
+  const report = auditDataset(subjects, BUILTIN_RATIOS);
+
+  expect(report.metrics).toEqual([
+    { key: 'ADR', label: 'ADR (Alpha/Delta)', column: 'ADR', rows: 3, mismatches: 1, maxAbsError: 10, maxRelError: 0.5 },
+  ]);
+  expect(report.subjects).toEqual([
+    { subject: 's1', index: 0, rows: 2, mismatches: 1, maxRelError: 0.5 },
+    { subject: 's2', index: 1, rows: 1, mismatches: 0, maxRelError: 0 },
+  ]);
+  expect(report.rows).toEqual([expect.objectContaining({ subject: 's1', t: 1, key: 'ADR', computed: 10, source: 20 })]);
+  expect(auditDataset(subjects, BUILTIN_RATIOS, { rel: 0.6, abs: 0 }).rows).toEqual([]);
+});
+
+test('a ratio with a source column reads it, falling back to the expression', () => {
+  const [ADR] = withSourceColumns(BUILTIN_RATIOS.slice(0, 1), ['ADR']);
+  const values = { alpha: 1, delta: 0.05 };
+  expect(computeRatios(values, [ADR], { ADR: 20 })).toEqual({ ADR: 20 });
+  expect(computeRatios(values, [ADR], { ADR: NaN })).toEqual({ ADR: 10 });
+});
+
+test('the audit panel lists rows loaded without a usable spectrum', () => {
+  const { subjects } = dataset([row('s1', 0, 2, 1, 2)]);
+  render(
+    <DataAudit subjects={subjects} ratios={BUILTIN_RATIOS} source="computed" onSourceChange={() => {}} warnings={['row 3: psd_mean has 2 values, expected 3']} />
+  );
+  expect(screen.getByText(/1 row warning/)).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent('row 3: psd_mean has 2 values');
+});
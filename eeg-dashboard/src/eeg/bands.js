@@ -0,0 +1,78 @@
+import { validateBands, bandMeans, CSV_BANDS } from "./dsp";
+
+// ---------- Frequency band configuration ----------
+// A band is { key, name, lo, hi, color }: `name` is the CSV column it reads
+// (when present), `key` the trial/frame property it fills, and lo..hi the Hz
+// range averaged from `detrended` when the column is missing. Order is the
+// wedge order in CircularEEGChart.
+
+export const bandKey = (name) =>
+  String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+
+export const makeBand = (name, lo, hi, color) => ({ key: bandKey(name), name, lo, hi, color });
+
+// A band with the CSV's own edges (see CSV_BANDS), so the presets and the
+// shipped data can't disagree.
+const csvBand = (name, color) => {
+  const { lo, hi } = CSV_BANDS.find((b) => b.key === name);
+  return makeBand(name, lo, hi, color);
+};
+
+export const BAND_PRESETS = {
+  classic: {
+    label: "Classic (α β θ δ)",
+    bands: [
+      csvBand("Alpha", "#33DB4F"),
+      csvBand("Beta", "#33A3DB"),
+      csvBand("Theta", "#DBB133"),
+      csvBand("Delta", "#DB3333"),
+    ],
+  },
+  extended: {
+    label: "Extended (+σ, split β, γ)",
+    bands: [
+      csvBand("Alpha", "#33DB4F"),
+      makeBand("Sigma", 12, 16, "#26D9BB"),
+      makeBand("Low beta", 13, 20, "#33A3DB"),
+      makeBand("High beta", 20, 30, "#5275E0"),
+      makeBand("Gamma", 30, 45, "#B164D8"),
+      csvBand("Theta", "#DBB133"),
+      csvBand("Delta", "#DB3333"),
+    ],
+  },
+};
+
+export const DEFAULT_BANDS_CONFIG = BAND_PRESETS.classic.bands;
+
+// validateBands plus unique keys, so two bands can't write the same property.
+export function validateBandConfig(bands) {
+  if (!bands || bands.length === 0) throw new Error("At least one band is required");
+  validateBands(bands);
+  const seen = new Set();
+  bands.forEach(({ key, name }) => {
+    if (seen.has(key)) throw new Error(`Duplicate band "${name}"`);
+    seen.add(key);
+  });
+  return bands;
+}
+
+// True when both configurations read the same values (colors may differ).
+export function sameBandValues(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every((x, k) => x.key === b[k].key && x.name === b[k].name && x.lo === b[k].lo && x.hi === b[k].hi);
+}
+
+// One trial's value for `band`: the CSV column when the row has it, else
+// the mean of `detrended` over lo <= f < hi, the convention the CSV columns
+// were computed with (NaN without a spectrum or with no bins in the band).
+export function readBand(columns, spectrum, band) {
+  const v = columns?.[band.name];
+  if (v != null && v !== "") return Number(v);
+  if (!spectrum) return NaN;
+  return bandMeans(spectrum.f, spectrum.detrended, [band])[band.key];
+}
@@ -0,0 +1,36 @@
+import { bandKey, makeBand, validateBandConfig, sameBandValues, readBand, BAND_PRESETS, DEFAULT_BANDS_CONFIG } from './bands';
+import { CSV_BANDS } from './dsp';
+
+test('bandKey slugs names into trial property keys', () => {
+  expect(['Alpha', 'Low beta', ' High-Beta ', 'γ 2'].map(bandKey)).toEqual(['alpha', 'low_beta', 'high_beta', '2']);
+});
+
+test('validateBandConfig rejects empty, inverted and duplicate bands', () => {
+  expect(validateBandConfig(BAND_PRESETS.extended.bands)).toHaveLength(7);
+  expect(() => validateBandConfig([])).toThrow('At least one band is required');
+  expect(() => validateBandConfig([makeBand('Alpha', 12, 8)])).toThrow('Band alpha: edges must satisfy 0 <= lo < hi');
+  expect(() => validateBandConfig([makeBand('Alpha', 8, 12), makeBand('alpha', 9, 11)])).toThrow('Duplicate band "alpha"');
+});
+
+test('sameBandValues ignores colors only', () => {
+  const recolored = DEFAULT_BANDS_CONFIG.map((b) => ({ ...b, color: '#000000' }));
+  expect(sameBandValues(DEFAULT_BANDS_CONFIG, recolored)).toBe(true);
+  expect(sameBandValues(DEFAULT_BANDS_CONFIG, [...DEFAULT_BANDS_CONFIG].reverse())).toBe(false);
+});
+
+test('readBand prefers the CSV column and falls back to the mean detrended spectrum', () => {
+  const spectrum = { f: [28, 30, 32, 34], psd_mean: [1, 2, 2, 4], detrended: [1, 2, 4, 8] };
+  const gamma = makeBand('Gamma', 30, 34, '#fff');
+
+  expect(readBand({ Gamma: 7 }, spectrum, gamma)).toBe(7);
+  expect(readBand({}, spectrum, gamma)).toBe(3); // bins 30 and 32; 34 is the open edge
+  expect(readBand({}, null, gamma)).toBeNaN();
+  expect(readBand({}, spectrum, makeBand('Low', 1, 29, '#fff'))).toBe(1); // one bin
+  expect(readBand({}, spectrum, makeBand('High', 40, 45, '#fff'))).toBeNaN(); // no bins
+});
+
+test('the classic preset uses the CSV band edges', () => {
+  CSV_BANDS.forEach(({ key, lo, hi }) => {
+    expect(DEFAULT_BANDS_CONFIG.find((b) => b.name === key)).toMatchObject({ lo, hi });
+  });
+});
@@ -0,0 +1,74 @@
+// ---------- Brain Symmetry Index ----------
+// Pairwise BSI over homologous 10-20 electrodes. For each left/right pair and
+// band the normalised difference (R - L) / (R + L) is taken; a pair's BSI is
+// the mean magnitude across bands (0 = symmetric, 1 = fully one-sided) and
+// the trial BSI is the mean over available pairs. `lateralization` keeps the
+// sign: negative when the left side carries more power.
+
+export const HOMOLOGOUS_PAIRS = [
+  ["Fp1", "Fp2"],
+  ["F7", "F8"],
+  ["F3", "F4"],
+  ["T3", "T4"],
+  ["C3", "C4"],
+  ["T5", "T6"],
+  ["P3", "P4"],
+  ["O1", "O2"],
+];
+
+// newer nomenclature for the same sites
+const ALIASES = { T3: "T7", T4: "T8", T5: "P7", T6: "P8" };
+
+export const BSI_BANDS = ["delta", "theta", "alpha", "beta"];
+
+const pick = (channels, name) => channels[name] || channels[ALIASES[name]] || null;
+
+export function computeBSI(channels, { bands = BSI_BANDS, pairs = HOMOLOGOUS_PAIRS } = {}) {
+  const empty = { bsi: NaN, lateralization: NaN, pairs: [] };
+  if (!channels) return empty;
+
+  const breakdown = [];
+  pairs.forEach(([left, right]) => {
+    const L = pick(channels, left);
+    const R = pick(channels, right);
+    if (!L || !R) return;
+
+    const diffs = bands
+      .map((band) => {
+        const l = L[band];
+        const r = R[band];
+        const sum = l + r;
+        return Number.isFinite(sum) && sum > 0 ? (r - l) / sum : NaN;
+      })
+      .filter(Number.isFinite);
+    if (diffs.length === 0) return;
+
+    breakdown.push({
+      pair: `${left}/${right}`,
+      bsi: diffs.reduce((a, d) => a + Math.abs(d), 0) / diffs.length,
+      lateralization: diffs.reduce((a, d) => a + d, 0) / diffs.length,
+    });
+  });
+
+  if (breakdown.length === 0) return empty;
+
+  const mean = (key) => breakdown.reduce((a, p) => a + p[key], 0) / breakdown.length;
+  return { bsi: mean("bsi"), lateralization: mean("lateralization"), pairs: breakdown };
+}
+
+// Playback helper: lerp two trials' BSI results, pair by pair.
+export function lerpBSI(a, b, t) {
+  const l = (x, y) => (Number.isFinite(x) && Number.isFinite(y) ? x + (y - x) * t : x);
+  if (!a) return b || null;
+  if (!b || b.pairs.length !== a.pairs.length) return a;
+
+  return {
+    bsi: l(a.bsi, b.bsi),
+    lateralization: l(a.lateralization, b.lateralization),
+    pairs: a.pairs.map((p, k) =>
+      b.pairs[k].pair === p.pair
+        ? { pair: p.pair, bsi: l(p.bsi, b.pairs[k].bsi), lateralization: l(p.lateralization, b.pairs[k].lateralization) }
+        : p
+    ),
+  };
+}
@@ -0,0 +1,48 @@
+import { computeBSI, lerpBSI } from './bsi';
+
+const bands = (delta, theta, alpha, beta) => ({ delta, theta, alpha, beta });
+
+test('is zero for perfectly symmetric channels', () => {
+  const res = computeBSI({ C3: bands(2, 3, 9, 4), C4: bands(2, 3, 9, 4) });
+  expect(res.bsi).toBe(0);
+  expect(res.pairs).toEqual([{ pair: 'C3/C4', bsi: 0, lateralization: 0 }]);
+});
+
+test('averages |R-L|/(R+L) over bands and pairs, keeping the sign separately', () => {
+  const res = computeBSI({
+    C3: bands(3, 1, 1, 1),
+    C4: bands(1, 1, 1, 1),
+    O1: bands(1, 1, 1, 1),
+    O2: bands(1, 1, 1, 3),
+  });
+  expect(res.pairs.map((p) => p.pair)).toEqual(['C3/C4', 'O1/O2']);
+  expect(res.pairs[0].bsi).toBeCloseTo(0.125);
+  expect(res.pairs[0].lateralization).toBeCloseTo(-0.125);
+  expect(res.bsi).toBeCloseTo(0.125);
+  expect(res.lateralization).toBeCloseTo(0);
+});
+
+test('accepts T7/T8 for the T3/T4 pair and ignores unpaired channels', () => {
+  const res = computeBSI({ T7: bands(1, 1, 1, 1), T8: bands(1, 1, 1, 1), Fz: bands(1, 1, 1, 1) });
+  expect(res.pairs.map((p) => p.pair)).toEqual(['T3/T4']);
+});
+
+test('returns NaN without channel data', () => {
+  expect(Number.isNaN(computeBSI(null).bsi)).toBe(true);
+  expect(computeBSI({ Cz: bands(1, 1, 1, 1) }).pairs).toEqual([]);
+});
+
+test('lerps pair by pair', () => {
+  const a = computeBSI({ C3: bands(1, 1, 1, 1), C4: bands(1, 1, 1, 1) });
+  const b = computeBSI({ C3: bands(3, 3, 3, 3), C4: bands(1, 1, 1, 1) });
+  const mid = lerpBSI(a, b, 0.5);
+  expect(mid.bsi).toBeCloseTo(0.25);
+  expect(mid.pairs[0].lateralization).toBeCloseTo(-0.25);
+});
+
+test('lerps from or to a trial without a result', () => {
+  const b = computeBSI({ C3: bands(3, 3, 3, 3), C4: bands(1, 1, 1, 1) });
+  expect(lerpBSI(null, b, 0.5)).toBe(b);
+  expect(lerpBSI(undefined, undefined, 0.5)).toBeNull();
+  expect(lerpBSI(b, null, 0.5)).toBe(b);
+});
@@ -0,0 +1,186 @@
+import { metricValue } from "./normative";
+
+// ---------- Change-point detection for per-trial series ----------
+// Both detectors look for shifts in the mean of a series and return the
+// indices where a new segment starts. Noise is estimated robustly from the
+// median absolute first difference, so the shifts themselves don't inflate
+// it (sigma = 1.4826 * MAD(diff) / sqrt(2)).
+
+export const CHANGE_METHODS = {
+  pelt: "PELT (offline, optimal segmentation)",
+  cusum: "CUSUM (sequential)",
+};
+
+// marker colors for upward / downward shifts
+export const SHIFT_COLORS = { up: "#FF8A65", down: "#4FC3F7" };
+
+const median = (sorted) => {
+  const n = sorted.length;
+  return n === 0 ? NaN : n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+};
+
+export function noiseSigma(values) {
+  if (values.length < 3) return 0;
+  const diffs = [];
+  for (let k = 1; k < values.length; k++) diffs.push(values[k] - values[k - 1]);
+  const med = median(Float64Array.from(diffs).sort());
+  const mad = median(Float64Array.from(diffs, (d) => Math.abs(d - med)).sort());
+  if (mad > 0) return (1.4826 * mad) / Math.SQRT2;
+
+  // mostly-constant series: fall back to the plain standard deviation
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+// ---------- PELT ----------
+// Gaussian mean-shift cost with penalty `penalty * sigma²` per change
+// (default 3 ln n: BIC-style, a little stricter because sigma comes from
+// first differences); segments are at least `minSize` long.
+export function pelt(values, { penalty, minSize = 3, sigma = noiseSigma(values) } = {}) {
+  const n = values.length;
+  if (n < 2 * minSize || !(sigma > 0)) return [];
+  const beta = (penalty ?? 3 * Math.log(n)) * sigma * sigma;
+
+  const s1 = new Float64Array(n + 1);
+  const s2 = new Float64Array(n + 1);
+  for (let k = 0; k < n; k++) {
+    s1[k + 1] = s1[k] + values[k];
+    s2[k + 1] = s2[k] + values[k] * values[k];
+  }
+  const cost = (a, b) => s2[b] - s2[a] - (s1[b] - s1[a]) ** 2 / (b - a);
+
+  const F = new Float64Array(n + 1).fill(Infinity);
+  const prev = new Int32Array(n + 1);
+  F[0] = -beta;
+  let candidates = [0];
+
+  for (let t = 1; t <= n; t++) {
+    for (const s of candidates) {
+      if (t - s < minSize) continue;
+      const v = F[s] + cost(s, t) + beta;
+      if (v < F[t]) {
+        F[t] = v;
+        prev[t] = s;
+      }
+    }
+    // prune starts that can never be optimal again
+    candidates = candidates.filter((s) => t - s < minSize || F[s] + cost(s, t) <= F[t]);
+    candidates.push(t);
+  }
+
+  const out = [];
+  for (let t = n; t > 0; t = prev[t]) if (prev[t] > 0) out.push(prev[t]);
+  return out.reverse();
+}
+
+// ---------- CUSUM ----------
+// Two-sided tabular CUSUM on (x - reference mean) / sigma with allowance
+// `drift` and decision interval `threshold`. An alarm places the change
+// where the alarming sum last left zero; the reference mean then restarts
+// from the alarm sample (certainly past the change) after `minSize` trials.
+export function cusum(values, { threshold = 5, drift = 0.5, sigma = noiseSigma(values), minSize = 3 } = {}) {
+  const n = values.length;
+  if (n < 2 * minSize || !(sigma > 0)) return [];
+  const out = [];
+  let segStart = 0;
+  let refStart = 0;
+  let t = minSize;
+
+  while (t < n) {
+    let sum = 0;
+    for (let k = refStart; k < t; k++) sum += values[k];
+    let count = t - refStart;
+    let hi = 0;
+    let lo = 0;
+    let hiFrom = t;
+    let loFrom = t;
+    let alarm = -1;
+
+    for (; t < n; t++) {
+      const z = (values[t] - sum / count) / sigma;
+      hi = Math.max(0, hi + z - drift);
+      lo = Math.max(0, lo - z - drift);
+      if (hi === 0) hiFrom = t + 1;
+      if (lo === 0) loFrom = t + 1;
+      if (hi > threshold || lo > threshold) {
+        alarm = hi > threshold ? hiFrom : loFrom;
+        break;
+      }
+      sum += values[t];
+      count += 1;
+    }
+
+    if (alarm < 0) break;
+    if (alarm - segStart >= minSize && n - alarm >= minSize) {
+      out.push(alarm);
+      segStart = alarm;
+    }
+    refStart = t;
+    t += minSize;
+  }
+
+  return out;
+}
+
+// ---------- Shifts ----------
+// Change indices -> [{ index, before, after, shift, relative, size, direction }]
+// where before / after are the neighbouring segment means, `size` is the
+// shift in noise sigmas and `relative` is shift / |before|.
+export function describeShifts(values, changes, sigma = noiseSigma(values)) {
+  const bounds = [0, ...changes, values.length];
+  const means = bounds.slice(0, -1).map((a, k) => {
+    const b = bounds[k + 1];
+    let sum = 0;
+    for (let j = a; j < b; j++) sum += values[j];
+    return sum / (b - a);
+  });
+
+  return changes.map((index, k) => {
+    const before = means[k];
+    const after = means[k + 1];
+    const shift = after - before;
+    return {
+      index,
+      before,
+      after,
+      shift,
+      relative: before !== 0 ? shift / Math.abs(before) : NaN,
+      size: sigma > 0 ? shift / sigma : NaN,
+      direction: shift >= 0 ? "up" : "down",
+    };
+  });
+}
+
+// Change points of a series that may contain NaN: non-finite points are
+// skipped and indices refer to the original series.
+export function detectChangePoints(series, { method = "pelt", ...options } = {}) {
+  const positions = [];
+  const values = [];
+  series.forEach((v, k) => {
+    if (Number.isFinite(v)) {
+      positions.push(k);
+      values.push(v);
+    }
+  });
+
+  const sigma = options.sigma ?? noiseSigma(values);
+  const detect = method === "cusum" ? cusum : pelt;
+  return describeShifts(values, detect(values, { ...options, sigma }), sigma).map((c) => ({ ...c, index: positions[c.index] }));
+}
+
+// Bands, ADR, TAR and severity: the series watched for shifts by default.
+export const changeMetrics = (bands, ratios) => [
+  ...bands.map((b) => ({ key: b.key, label: b.name })),
+  ...ratios.filter((r) => r.key === "ADR" || r.key === "TAR").map((r) => ({ key: r.key, label: r.label })),
+  { key: "severity", label: "Severity" },
+];
+
+// One subject's trials -> { [metric key]: { series, changes } }.
+export function subjectChangePoints(trials, metrics, { severityModel, ...options } = {}) {
+  const out = {};
+  metrics.forEach(({ key }) => {
+    const series = trials.map((t) => metricValue(t, key, severityModel));
+    out[key] = { series, changes: detectChangePoints(series, options) };
+  });
+  return out;
+}
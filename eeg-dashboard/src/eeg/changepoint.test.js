@@ -0,0 +1,73 @@
+import { render, screen } from '@testing-library/react';
+import { noiseSigma, pelt, cusum, describeShifts, detectChangePoints, subjectChangePoints } from './changepoint';
+import AperiodicSlopeChart from './AperiodicSlopeChart';
+
+// deterministic noise in [-0.5, 0.5)
+const noise = (n, seed = 1) => {
+  let s = seed;
+  return Array.from({ length: n }, () => {
+    s = (s * 16807) % 2147483647;
+    return s / 2147483647 - 0.5;
+  });
+};
+
+const steps = (levels, length = 20) => {
+  const e = noise(levels.length * length);
+  return levels.flatMap((level, k) => Array.from({ length }, (_, j) => level + 0.3 * e[k * length + j]));
+};
+
+test('noise sigma ignores level shifts', () => {
+  const flat = steps([0], 60);
+  expect(noiseSigma(steps([0, 5, 0], 20))).toBeCloseTo(noiseSigma(flat), 0);
+  expect(noiseSigma([1, 1, 1, 1])).toBe(0);
+});
+
+test('PELT and CUSUM find mean shifts and nothing in flat noise', () => {
+  const x = steps([0, 2, 1]);
+  expect(pelt(x)).toEqual([20, 40]);
+  cusum(x).forEach((cp, k) => expect(Math.abs(cp - [20, 40][k])).toBeLessThanOrEqual(2));
+  expect(cusum(x)).toHaveLength(2);
+
+  expect(pelt(steps([3], 60))).toEqual([]);
+  expect(cusum(steps([3], 60))).toEqual([]);
+});
+
+test('shifts report segment means, magnitude and direction', () => {
+  const [up, down] = describeShifts([1, 1, 1, 3, 3, 3, 2, 2, 2], [3, 6], 0.5);
+  expect(up).toEqual({ index: 3, before: 1, after: 3, shift: 2, relative: 2, size: 4, direction: 'up' });
+  expect(down).toMatchObject({ index: 6, shift: -1, relative: -1 / 3, direction: 'down' });
+});
+
+test('skips missing values and keeps original indices', () => {
+  const x = steps([0, 2]);
+  x.splice(5, 0, NaN, NaN);
+  const [change] = detectChangePoints(x);
+  expect(change.index).toBe(22);
+  expect(change.direction).toBe('up');
+  expect(change.after - change.before).toBeCloseTo(2, 0);
+});
+
+test('runs every metric of a subject, severity included', () => {
+  const trials = steps([8, 10]).map((alpha, t) => ({ t, alpha, theta: 2, delta: 2 }));
+  const out = subjectChangePoints(trials, [{ key: 'alpha' }, { key: 'severity' }]);
+  expect(out.alpha.changes.map((c) => c.index)).toEqual([20]);
+  expect(out.severity.series).toHaveLength(40);
+});
+
+test('the slope badge follows recent change points', () => {
+  const history = steps([-1.5, -0.5]).map((slope, k) => ({ time: k, slope, r2: 0.9 }));
+  const { rerender } = render(<AperiodicSlopeChart history={history} currentIndex={22} />);
+  expect(screen.getByText(/RAPID CHANGE/)).toBeInTheDocument();
+  rerender(<AperiodicSlopeChart history={history} currentIndex={35} />);
+  expect(screen.getByText(/STABLE/)).toBeInTheDocument();
+});
+
+test('trials without a fit show as gaps, not a slope of 0', () => {
+  const history = [-1, -2, NaN, -1.5].map((slope, k) => ({ time: k, slope, r2: 0.9 }));
+  render(<AperiodicSlopeChart history={history} currentIndex={2} changePoints={[]} />);
+  expect(screen.getByText('NO FIT')).toBeInTheDocument();
+  expect(screen.getByText(/Current: no fit/)).toBeInTheDocument();
+  expect(screen.getByText('-1.00')).toBeInTheDocument(); // axis spans the fitted trials only
+  expect(screen.getByText('-2.00')).toBeInTheDocument();
+  expect(screen.queryByText(/STABLE/)).not.toBeInTheDocument();
+});
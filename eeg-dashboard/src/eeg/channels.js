@@ -0,0 +1,100 @@
+// ---------- Per-channel band powers ----------
+// Two input layouts are supported alongside the single-channel scalars:
+//   wide: one row per trial, columns like "C3_Alpha" or "Alpha_C3"
+//   long: one row per trial *and* channel, with a "channel" column
+// Either way each trial row ends up with `channels: { C3: { alpha, ... } }`.
+
+export const CHANNEL_BANDS = ["Alpha", "Beta", "Theta", "Delta"];
+
+// 10-20 labels (old and new temporal/parietal names)
+export const TEN_TWENTY = [
+  "Fp1", "Fp2", "Fpz", "F7", "F3", "Fz", "F4", "F8",
+  "T3", "T4", "T7", "T8", "C3", "Cz", "C4",
+  "T5", "T6", "P7", "P8", "P3", "Pz", "P4",
+  "O1", "Oz", "O2", "A1", "A2",
+];
+
+const BY_LOWER = Object.fromEntries(TEN_TWENTY.map((c) => [c.toLowerCase(), c]));
+
+export const normalizeChannel = (label) =>
+  BY_LOWER[String(label ?? "").trim().toLowerCase()] || null;
+
+const readBands = (r) => {
+  const out = {};
+  CHANNEL_BANDS.forEach((band) => {
+    out[band.toLowerCase()] = Number(r[band]);
+  });
+  return out;
+};
+
+// Maps "C3_Alpha" / "alpha-c3" style headers to { field, channel, band }.
+export function wideChannelColumns(fields) {
+  const bandByLower = Object.fromEntries(CHANNEL_BANDS.map((b) => [b.toLowerCase(), b]));
+  const out = [];
+
+  (fields || []).forEach((field) => {
+    const parts = String(field).split(/[_\-.\s]+/);
+    if (parts.length !== 2) return;
+
+    const [a, b] = parts;
+    const chA = normalizeChannel(a);
+    const chB = normalizeChannel(b);
+    const bandA = bandByLower[a.toLowerCase()];
+    const bandB = bandByLower[b.toLowerCase()];
+
+    if (chA && bandB) out.push({ field, channel: chA, band: bandB });
+    else if (bandA && chB) out.push({ field, channel: chB, band: bandA });
+  });
+
+  return out;
+}
+
+function readWideChannels(r, columns) {
+  const channels = {};
+  columns.forEach(({ field, channel, band }) => {
+    channels[channel] = channels[channel] || {};
+    channels[channel][band.toLowerCase()] = Number(r[field]);
+  });
+  return channels;
+}
+
+function collapseLongFormat(data, channelField) {
+  const byTrial = new Map();
+
+  data.forEach((r) => {
+    const channel = normalizeChannel(r[channelField]);
+    const key = `${r.subject_number}\u0000${r.trial_number}`;
+    let entry = byTrial.get(key);
+    if (!entry) {
+      entry = { ...r, channels: {} };
+      delete entry[channelField];
+      byTrial.set(key, entry);
+    }
+    if (channel) entry.channels[channel] = readBands(r);
+  });
+
+  // the trial-level band scalars become the mean over channels
+  return [...byTrial.values()].map((entry) => {
+    const chans = Object.values(entry.channels);
+    if (chans.length === 0) return entry;
+    CHANNEL_BANDS.forEach((band) => {
+      const key = band.toLowerCase();
+      const vals = chans.map((c) => c[key]).filter(Number.isFinite);
+      entry[band] = vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN;
+    });
+    return entry;
+  });
+}
+
+// Normalises Papa's `res.data` so raw rows carry `channels` when the file
+// has per-channel data; otherwise the rows come back untouched.
+export function attachChannels(data, fields, { channelField = "channel" } = {}) {
+  if ((fields || []).includes(channelField)) {
+    return collapseLongFormat(data, channelField);
+  }
+
+  const columns = wideChannelColumns(fields);
+  if (columns.length === 0) return data;
+
+  return data.map((r) => ({ ...r, channels: readWideChannels(r, columns) }));
+}
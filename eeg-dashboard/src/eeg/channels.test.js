@@ -0,0 +1,45 @@
+import { attachChannels, wideChannelColumns, normalizeChannel } from './channels';
+
+test('normalizes 10-20 labels case-insensitively', () => {
+  expect(normalizeChannel('fp1')).toBe('Fp1');
+  expect(normalizeChannel(' C4 ')).toBe('C4');
+  expect(normalizeChannel('X9')).toBeNull();
+});
+
+test('detects wide channel columns in either order', () => {
+  const cols = wideChannelColumns(['subject_number', 'C3_Alpha', 'theta-c4', 'Alpha']);
+  expect(cols).toEqual([
+    { field: 'C3_Alpha', channel: 'C3', band: 'Alpha' },
+    { field: 'theta-c4', channel: 'C4', band: 'Theta' },
+  ]);
+});
+
+test('reads wide rows into a channels map', () => {
+  const [row] = attachChannels(
+    [{ subject_number: 'sub-01', trial_number: 0, C3_Alpha: 4, C4_Alpha: 6 }],
+    ['subject_number', 'trial_number', 'C3_Alpha', 'C4_Alpha']
+  );
+  expect(row.channels).toEqual({ C3: { alpha: 4 }, C4: { alpha: 6 } });
+});
+
+test('collapses long-format rows into one trial with channel means', () => {
+  const base = { subject_number: 'sub-01', trial_number: 0, Beta: 1, Theta: 1, Delta: 1 };
+  const rows = attachChannels(
+    [
+      { ...base, channel: 'O1', Alpha: 4 },
+      { ...base, channel: 'O2', Alpha: 8 },
+      { ...base, trial_number: 1, channel: 'O1', Alpha: 2 },
+    ],
+    ['subject_number', 'trial_number', 'channel', 'Alpha', 'Beta', 'Theta', 'Delta']
+  );
+  expect(rows).toHaveLength(2);
+  expect(rows[0].Alpha).toBe(6);
+  expect(Object.keys(rows[0].channels)).toEqual(['O1', 'O2']);
+  expect(rows[0].channel).toBeUndefined();
+  expect(rows[1].channels.O1.alpha).toBe(2);
+});
+
+test('leaves single-channel files untouched', () => {
+  const data = [{ subject_number: 'sub-01', Alpha: 1 }];
+  expect(attachChannels(data, ['subject_number', 'Alpha'])).toBe(data);
+});
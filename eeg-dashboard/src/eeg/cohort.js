@@ -0,0 +1,182 @@
+import { computeSeverity, DEFAULT_SEVERITY_MODEL } from "./severity";
+import { metricValue } from "./normative";
+
+const mean = (vals) => {
+  const ok = vals.filter(Number.isFinite);
+  return ok.length ? ok.reduce((a, b) => a + b, 0) / ok.length : NaN;
+};
+
+// ---------- Per-subject summaries ----------
+// One entry per subject (same order as `subjects`) with trial count and mean
+// severity / ADR / TAR, for pickers and cohort views.
+export function summarizeSubjects(subjects, severityModel = DEFAULT_SEVERITY_MODEL) {
+  return subjects.map((trials, index) => ({
+    index,
+    subject: trials[0]?.subject ?? String(index),
+    trials: trials.length,
+    severity: mean(trials.map((r) => computeSeverity(r, severityModel))),
+    ADR: mean(trials.map((r) => r.ADR)),
+    TAR: mean(trials.map((r) => r.TAR)),
+  }));
+}
+
+// Case-insensitive substring filter on the subject id, then a stable sort on
+// `key` (NaN values always last).
+export function filterAndSortSubjects(summaries, { query = "", key = "subject", dir = "asc" } = {}) {
+  const q = query.trim().toLowerCase();
+  const sign = dir === "desc" ? -1 : 1;
+
+  return summaries
+    .filter((s) => !q || s.subject.toLowerCase().includes(q))
+    .slice()
+    .sort((a, b) => {
+      const va = a[key];
+      const vb = b[key];
+      if (typeof va === "string" || typeof vb === "string") {
+        return sign * String(va).localeCompare(String(vb), undefined, { numeric: true });
+      }
+      const na = !Number.isFinite(va);
+      const nb = !Number.isFinite(vb);
+      if (na || nb) return na === nb ? 0 : na ? 1 : -1;
+      return sign * (va - vb);
+    });
+}
+
+// ---------- Cohort matrix (subjects × trial numbers) ----------
+// Columns are the distinct trial numbers (`t`) across the cohort, so
+// subjects with missing trials line up; absent cells are NaN. Each row keeps
+// the playback index of every cell's trial (-1 when absent) and its mean.
+export function cohortMatrix(subjects, key, severityModel = DEFAULT_SEVERITY_MODEL) {
+  const trials = [...new Set(subjects.flatMap((ts) => ts.map((r) => Number(r.t))))]
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  const column = new Map(trials.map((t, c) => [t, c]));
+  let min = Infinity;
+  let max = -Infinity;
+
+  const rows = subjects.map((ts, index) => {
+    const values = new Array(trials.length).fill(NaN);
+    const trialIndex = new Array(trials.length).fill(-1);
+    ts.forEach((r, k) => {
+      const c = column.get(Number(r.t));
+      if (c === undefined) return;
+      const v = metricValue(r, key, severityModel);
+      values[c] = v;
+      trialIndex[c] = k;
+      if (Number.isFinite(v)) {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+      }
+    });
+    return { index, subject: ts[0]?.subject ?? String(index), values, trialIndex, mean: mean(values) };
+  });
+
+  return { trials, rows, min: min <= max ? min : NaN, max: min <= max ? max : NaN };
+}
+
+export const HEATMAP_ORDERS = {
+  dataset: "Dataset order",
+  subject: "Subject id",
+  mean: "Row mean (high first)",
+  cluster: "Cluster similar rows",
+};
+
+// RMS difference over the columns both rows have; Infinity when none.
+function rowDistance(a, b) {
+  let ss = 0;
+  let n = 0;
+  for (let c = 0; c < a.length; c++) {
+    if (Number.isFinite(a[c]) && Number.isFinite(b[c])) {
+      ss += (a[c] - b[c]) ** 2;
+      n += 1;
+    }
+  }
+  return n ? Math.sqrt(ss / n) : Infinity;
+}
+
+// Average-linkage agglomerative clustering; the leaf order of the tree puts
+// similar rows next to each other. Cluster distances are kept up to date
+// with the Lance-Williams update, and each merge flips its halves so the two
+// closest ends meet.
+export function clusterOrder(rows) {
+  const leaf = rows.map((a) => rows.map((b) => {
+    const v = rowDistance(a.values, b.values);
+    return Number.isFinite(v) ? v : Number.MAX_VALUE;
+  }));
+  const dist = leaf.map((r) => r.slice());
+  const members = rows.map((_, k) => [k]);
+  const alive = rows.map(() => true);
+  const first = (m) => m[0];
+  const last = (m) => m[m.length - 1];
+
+  for (let merges = 1; merges < rows.length; merges++) {
+    let bi = -1;
+    let bj = -1;
+    for (let i = 0; i < rows.length; i++) {
+      if (!alive[i]) continue;
+      for (let j = i + 1; j < rows.length; j++) {
+        if (alive[j] && (bi < 0 || dist[i][j] < dist[bi][bj])) {
+          bi = i;
+          bj = j;
+        }
+      }
+    }
+
+    let A = members[bi];
+    let B = members[bj];
+    const flips = [
+      [A, B],
+      [A, [...B].reverse()],
+      [[...A].reverse(), B],
+      [[...A].reverse(), [...B].reverse()],
+    ];
+    [A, B] = flips.reduce((x, y) => (leaf[last(x[0])][first(x[1])] <= leaf[last(y[0])][first(y[1])] ? x : y));
+
+    const na = members[bi].length;
+    const nb = members[bj].length;
+    for (let k = 0; k < rows.length; k++) {
+      if (!alive[k] || k === bi || k === bj) continue;
+      dist[bi][k] = dist[k][bi] = (na * dist[bi][k] + nb * dist[bj][k]) / (na + nb);
+    }
+    members[bi] = [...A, ...B];
+    alive[bj] = false;
+  }
+
+  const root = members.find((_, k) => alive[k]) || [];
+  return root.map((k) => rows[k]);
+}
+
+// Rows in the order picked from HEATMAP_ORDERS (NaN means last).
+export function orderRows(rows, order = "dataset") {
+  if (order === "cluster") return clusterOrder(rows);
+  if (order === "subject") {
+    return rows.slice().sort((a, b) => String(a.subject).localeCompare(String(b.subject), undefined, { numeric: true }));
+  }
+  if (order === "mean") {
+    return rows.slice().sort((a, b) => {
+      const na = !Number.isFinite(a.mean);
+      const nb = !Number.isFinite(b.mean);
+      if (na || nb) return na === nb ? 0 : na ? 1 : -1;
+      return b.mean - a.mean;
+    });
+  }
+  return rows;
+}
+
+// Sequential palette (viridis stops), low -> high.
+export const HEATMAP_COLORS = ["#440154", "#3B528B", "#21918C", "#5EC962", "#FDE725"];
+export const HEATMAP_EMPTY = "#1a2033";
+
+const hexRgb = (hex) => [1, 3, 5].map((k) => parseInt(hex.slice(k, k + 2), 16));
+
+// Color for `value` within min..max (clamped); HEATMAP_EMPTY when not finite.
+export function heatColor(value, min, max) {
+  if (!Number.isFinite(value)) return HEATMAP_EMPTY;
+  const f = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0.5;
+  const pos = f * (HEATMAP_COLORS.length - 1);
+  const k = Math.min(Math.floor(pos), HEATMAP_COLORS.length - 2);
+  const a = hexRgb(HEATMAP_COLORS[k]);
+  const b = hexRgb(HEATMAP_COLORS[k + 1]);
+  const rgb = a.map((x, j) => Math.round(x + (b[j] - x) * (pos - k)));
+  return `rgb(${rgb.join(",")})`;
+}
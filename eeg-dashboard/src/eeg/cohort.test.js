@@ -0,0 +1,96 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { summarizeSubjects, filterAndSortSubjects, cohortMatrix, orderRows, heatColor, HEATMAP_EMPTY } from './cohort';
+import CohortHeatmap from './CohortHeatmap';
+
+const trial = (subject, t, ADR, TAR) => ({ subject, t, alpha: 10, theta: 1, delta: 1, ADR, TAR });
+
+const subjects = [
+  [trial('sub-02', 0, 1, 0.5), trial('sub-02', 1, 3, 0.7)],
+  [trial('sub-10', 0, 2.5, 0.1)],
+  [trial('sub-01', 0, NaN, 0.2)],
+];
+
+test('summarizes trial count and mean metrics per subject', () => {
+  const [s2] = summarizeSubjects(subjects);
+  expect(s2).toMatchObject({ index: 0, subject: 'sub-02', trials: 2, ADR: 2, severity: 0 });
+  expect(s2.TAR).toBeCloseTo(0.6);
+  expect(Number.isNaN(summarizeSubjects(subjects)[2].ADR)).toBe(true);
+});
+
+test('searches by subject id and sorts by any metric', () => {
+  const all = summarizeSubjects(subjects);
+  expect(filterAndSortSubjects(all).map((s) => s.subject)).toEqual(['sub-01', 'sub-02', 'sub-10']);
+  expect(filterAndSortSubjects(all, { query: '0' }).map((s) => s.subject)).toEqual(['sub-01', 'sub-02', 'sub-10']);
+  expect(filterAndSortSubjects(all, { query: 'SUB-1' }).map((s) => s.subject)).toEqual(['sub-10']);
+  expect(filterAndSortSubjects(all, { key: 'ADR', dir: 'desc' }).map((s) => s.subject)).toEqual([
+    'sub-10',
+    'sub-02',
+    'sub-01',
+  ]);
+  expect(filterAndSortSubjects(all, { key: 'ADR', dir: 'asc' }).map((s) => s.subject)).toEqual([
+    'sub-02',
+    'sub-10',
+    'sub-01',
+  ]);
+});
+
+test('lines subjects up by trial number, leaving gaps for missing trials', () => {
+  const m = cohortMatrix(subjects, 'ADR');
+  expect(m.trials).toEqual([0, 1]);
+  expect(m.rows[0]).toMatchObject({ subject: 'sub-02', values: [1, 3], trialIndex: [0, 1], mean: 2 });
+  expect(m.rows[1].values[1]).toBeNaN();
+  expect(m.rows[1].trialIndex).toEqual([0, -1]);
+  expect([m.min, m.max]).toEqual([1, 3]);
+});
+
+test('orders rows by id, mean or similarity', () => {
+  const row = (subject, values) => ({ subject, values, mean: values.reduce((a, b) => a + b) / values.length });
+  const rows = [row('s10', [0, 0, 1]), row('s2', [5, 5, 5]), row('s3', [0, 0.2, 1]), row('s1', [5, 4.8, 5])];
+
+  expect(orderRows(rows, 'subject').map((r) => r.subject)).toEqual(['s1', 's2', 's3', 's10']);
+  expect(orderRows(rows, 'mean').map((r) => r.subject)).toEqual(['s2', 's1', 's3', 's10']);
+  expect(orderRows(rows)).toBe(rows);
+
+  const clustered = orderRows(rows, 'cluster').map((r) => r.subject);
+  expect(clustered).toHaveLength(4);
+  const pos = (s) => clustered.indexOf(s);
+  expect(Math.abs(pos('s10') - pos('s3'))).toBe(1);
+  expect(Math.abs(pos('s2') - pos('s1'))).toBe(1);
+});
+
+test('maps values onto the palette', () => {
+  expect(heatColor(0, 0, 1)).toBe('rgb(68,1,84)');
+  expect(heatColor(5, 0, 1)).toBe('rgb(253,231,37)');
+  expect(heatColor(NaN, 0, 1)).toBe(HEATMAP_EMPTY);
+});
+
+test('heatmap shows cell values on hover and opens the clicked trial', () => {
+  const onOpen = jest.fn();
+  render(
+    <CohortHeatmap
+      subjects={subjects}
+      metrics={[{ key: 'severity', label: 'Severity' }, { key: 'ADR', label: 'ADR' }]}
+      subjectIndex={0}
+      trialIndex={0}
+      onOpen={onOpen}
+    />
+  );
+  fireEvent.change(screen.getByRole('combobox', { name: 'Heatmap metric' }), { target: { value: 'ADR' } });
+
+  // 3 rows: viewBox 900 × (20 + 36 + 4); cells are (900 - 72 - 8) / 2 wide
+  const map = screen.getByRole('img', { name: 'ADR by subject and trial' });
+  jest.spyOn(map, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, width: 900, height: 60 });
+  const cell = { clientX: 72 + 410 * 1.5, clientY: 20 + 6 };
+
+  fireEvent.mouseMove(map, cell);
+  expect(screen.getByRole('tooltip')).toHaveTextContent('sub-02');
+  expect(screen.getByRole('tooltip')).toHaveTextContent('Trial 1: ADR 3.00');
+
+  fireEvent.click(map, cell);
+  expect(onOpen).toHaveBeenCalledWith(0, 1);
+
+  fireEvent.click(map, { clientX: 72 + 410 * 1.5, clientY: 20 + 12 + 6 });
+  expect(onOpen).toHaveBeenCalledTimes(1);
+  fireEvent.click(map, { clientX: 20, clientY: 20 + 12 + 6 });
+  expect(onOpen).toHaveBeenLastCalledWith(1, 0);
+});
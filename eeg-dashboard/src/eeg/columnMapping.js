@@ -0,0 +1,124 @@
+import { missingColumns, REQUIRED_COLUMNS } from "./loader";
+import { DEFAULT_BANDS_CONFIG } from "./bands";
+
+// ---------- CSV header -> loader field mapping ----------
+// `mapping` is { [loaderColumn]: sourceHeader }. Aliases are compared after
+// lower-casing and stripping everything but letters and digits.
+const ID_MAPPING_FIELDS = [
+  { key: "subject_number", label: "Subject", aliases: ["subject", "subjectid", "subjectno", "sub", "subj", "participant", "participantid", "patient", "patientid", "id"] },
+  { key: "trial_number", label: "Trial", aliases: ["trial", "trialid", "trialno", "epoch", "epochnumber", "epochid", "segment", "window", "time", "t"] },
+];
+
+const norm = (s) => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const bandAliases = (name) => {
+  const n = norm(name);
+  return [n, `${n}power`, `${n}pow`, `${n}abs`, `${n}rel`, `pow${n}`, `power${n}`, `band${n}`];
+};
+
+const bandField = (name) => ({ key: name, label: name, aliases: bandAliases(name), band: true });
+
+// Subject and trial, one row per band of `bands` (the column readBand reads,
+// i.e. the band name), then any band column the loader still requires that
+// the configuration leaves out.
+export function mappingFields(bands = DEFAULT_BANDS_CONFIG) {
+  const names = bands.map((b) => b.name);
+  const required = REQUIRED_COLUMNS.filter((c) => !ID_MAPPING_FIELDS.some((f) => f.key === c) && !names.includes(c));
+  return [...ID_MAPPING_FIELDS, ...[...names, ...required].map(bandField)];
+}
+
+export const MAPPING_FIELDS = mappingFields();
+
+// Best-effort mapping: exact header, then alias, then (bands only, longest
+// name first so "Low beta" wins over "Beta") any header containing the band
+// name. Each header is used at most once.
+export function guessMapping(fields, bands = DEFAULT_BANDS_CONFIG) {
+  const list = fields || [];
+  const targets = mappingFields(bands);
+  const used = new Set();
+  const mapping = {};
+
+  const take = (key, pick) => {
+    const hit = list.find((f) => !used.has(f) && pick(f));
+    if (hit == null) return false;
+    mapping[key] = hit;
+    used.add(hit);
+    return true;
+  };
+
+  targets.forEach(({ key }) => take(key, (f) => f === key));
+  targets.forEach(({ key, aliases }) => {
+    if (!(key in mapping)) take(key, (f) => norm(f) === norm(key) || aliases.includes(norm(f)));
+  });
+  targets
+    .filter((m) => m.band)
+    .sort((a, b) => norm(b.key).length - norm(a.key).length)
+    .forEach(({ key }) => {
+      if (!(key in mapping)) take(key, (f) => norm(f).includes(norm(key)));
+    });
+
+  return mapping;
+}
+
+// Same requirement as the loader (see missingColumns): subject and trial,
+// plus either every band column or the spectrum columns in `fields`.
+export const isCompleteMapping = (mapping, fields = []) =>
+  missingColumns([...fields, ...Object.keys(mapping || {}).filter((k) => mapping[k])]).length === 0;
+
+const renamedPairs = (mapping) => Object.entries(mapping || {}).filter(([target, source]) => source && source !== target);
+
+// Copies mapped source columns onto the names the loader expects.
+export function mapRows(rows, mapping) {
+  const pairs = renamedPairs(mapping);
+  if (pairs.length === 0) return rows;
+
+  return rows.map((r) => {
+    const out = { ...r };
+    pairs.forEach(([target, source]) => {
+      out[target] = r[source];
+    });
+    return out;
+  });
+}
+
+// Header list as seen after mapRows.
+export function mapFields(fields, mapping) {
+  const out = [...(fields || [])];
+  renamedPairs(mapping).forEach(([target]) => {
+    if (!out.includes(target)) out.push(target);
+  });
+  return out;
+}
+
+export function applyMapping(res, mapping) {
+  if (renamedPairs(mapping).length === 0) return res;
+  return { ...res, data: mapRows(res.data, mapping), meta: { ...res.meta, fields: mapFields(res.meta.fields, mapping) } };
+}
+
+// ---------- Named presets (localStorage) ----------
+const PRESETS_KEY = "eeg-dashboard.mappingPresets";
+
+export function loadMappingPresets() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(PRESETS_KEY) || "{}");
+    return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveMappingPreset(name, mapping) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw new Error("Preset name is required");
+
+  const presets = { ...loadMappingPresets(), [trimmed]: mapping };
+  window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
+
+export function deleteMappingPreset(name) {
+  const presets = loadMappingPresets();
+  delete presets[name];
+  window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  return presets;
+}
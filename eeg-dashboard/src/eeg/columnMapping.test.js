@@ -0,0 +1,90 @@
+import { render, screen } from '@testing-library/react';
+import {
+  guessMapping,
+  mappingFields,
+  applyMapping,
+  isCompleteMapping,
+  loadMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset,
+} from './columnMapping';
+import { buildDataset } from './loader';
+import { BAND_PRESETS } from './bands';
+import ColumnMappingWizard from './ColumnMappingWizard';
+
+const FOREIGN = ['subject', 'epoch', 'alpha_power', 'beta_power', 'Theta (uV^2)', 'rel_delta', 'notes'];
+
+test('guessMapping matches exact headers, aliases and band substrings', () => {
+  expect(guessMapping(FOREIGN)).toEqual({
+    subject_number: 'subject',
+    trial_number: 'epoch',
+    Alpha: 'alpha_power',
+    Beta: 'beta_power',
+    Theta: 'Theta (uV^2)',
+    Delta: 'rel_delta',
+  });
+  expect(guessMapping(['subject_number', 'trial_number', 'Alpha', 'Beta'])).toEqual({
+    subject_number: 'subject_number',
+    trial_number: 'trial_number',
+    Alpha: 'Alpha',
+    Beta: 'Beta',
+  });
+});
+
+test('applyMapping feeds foreign headers through the loader', () => {
+  const res = {
+    data: [{ subject: 's1', epoch: 3, alpha_power: 4, beta_power: 1, 'Theta (uV^2)': 2, rel_delta: 2, notes: '' }],
+    meta: { fields: FOREIGN },
+  };
+  const mapping = guessMapping(FOREIGN);
+  expect(isCompleteMapping(mapping)).toBe(true);
+
+  const mapped = applyMapping(res, mapping);
+  expect(mapped.meta.fields).toEqual(expect.arrayContaining(['subject_number', 'Alpha', 'notes']));
+  expect(res.data[0].Alpha).toBeUndefined();
+
+  const [[trial]] = buildDataset(mapped).subjects;
+  expect(trial).toMatchObject({ subject: 's1', t: 3, alpha: 4, ADR: 2, TAR: 0.5 });
+});
+
+test('mapping presets round-trip through localStorage', () => {
+  window.localStorage.clear();
+  expect(loadMappingPresets()).toEqual({});
+
+  saveMappingPreset('  lab export ', { Alpha: 'alpha_power' });
+  expect(loadMappingPresets()).toEqual({ 'lab export': { Alpha: 'alpha_power' } });
+  expect(() => saveMappingPreset(' ', {})).toThrow('Preset name is required');
+
+  deleteMappingPreset('lab export');
+  expect(loadMappingPresets()).toEqual({});
+
+  window.localStorage.setItem('eeg-dashboard.mappingPresets', '{not json');
+  expect(loadMappingPresets()).toEqual({});
+});
+
+test('a spectrum-only file only needs its subject and trial columns mapped', () => {
+  const fields = ['participant_id', 'epoch', 'f', 'psd_mean', 'fitted', 'detrended'];
+  expect(isCompleteMapping({ subject_number: 'participant_id', trial_number: 'epoch' }, fields)).toBe(true);
+  expect(isCompleteMapping({ subject_number: 'participant_id' }, fields)).toBe(false);
+  expect(isCompleteMapping({ subject_number: 'participant_id', trial_number: 'epoch' }, ['participant_id', 'epoch', 'f', 'psd_mean'])).toBe(false);
+});
+
+test('band rows follow the band configuration', () => {
+  const bands = BAND_PRESETS.extended.bands;
+  // Beta stays: the loader requires it unless the file has a spectrum
+  expect(mappingFields(bands).map((m) => m.key)).toEqual([
+    'subject_number', 'trial_number', 'Alpha', 'Sigma', 'Low beta', 'High beta', 'Gamma', 'Theta', 'Delta', 'Beta',
+  ]);
+
+  const fields = ['subject', 'epoch', 'alpha', 'gamma_power', 'high_beta_pow', 'low_beta_rel', 'beta'];
+  expect(guessMapping(fields, bands)).toMatchObject({
+    Gamma: 'gamma_power',
+    'High beta': 'high_beta_pow',
+    'Low beta': 'low_beta_rel',
+    Beta: 'beta',
+  });
+
+  render(<ColumnMappingWizard fileName="x.csv" fields={fields} rows={[]} bands={bands} onConfirm={() => {}} onCancel={() => {}} />);
+  expect(screen.getByRole('combobox', { name: 'Gamma column' })).toBeInTheDocument();
+  expect(screen.getByText('Gamma')).toHaveTextContent('(optional)');
+});
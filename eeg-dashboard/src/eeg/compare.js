@@ -0,0 +1,46 @@
+import { computeSeverity, DEFAULT_SEVERITY_MODEL } from "./severity";
+
+// ---------- Side-by-side subject comparison ----------
+// Every tile shows the trial with the same trial number (`t`) as the main
+// playback, so one clock drives the whole grid; subjects without that trial
+// get an empty tile rather than a misaligned one.
+
+export const MAX_COMPARE = 12;
+
+export const trialIndexOf = (trials, t) => trials.findIndex((r) => Number(r.t) === Number(t));
+
+// `size` subjects starting at the current one (wrapping), as the initial set.
+export function defaultComparison(count, subjectIndex = 0, size = 4) {
+  return Array.from({ length: Math.min(size, count) }, (_, k) => (subjectIndex + k) % count);
+}
+
+// Adds or removes a subject index, keeping at most `max`.
+export const togglePick = (picked, index, max = MAX_COMPARE) =>
+  picked.includes(index) ? picked.filter((k) => k !== index) : picked.length < max ? [...picked, index] : picked;
+
+// One tile per picked subject at trial number `t`, moving toward `nextT` by
+// `tt` (0..1). `frameOf(A, B, tt)` builds the displayed frame (see
+// interpolateFrame). Tiles: { index, subject, k, frame, severity } with k = -1
+// and frame = null when the subject has no trial `t`.
+export function compareTiles(subjects, picked, { t, nextT = t, tt = 0, frameOf, severityModel = DEFAULT_SEVERITY_MODEL }) {
+  return picked
+    .filter((index) => subjects[index])
+    .map((index) => {
+      const trials = subjects[index];
+      const subject = trials[0]?.subject ?? String(index);
+      const k = trialIndexOf(trials, t);
+      if (k < 0) return { index, subject, k, frame: null, severity: NaN };
+      const next = trialIndexOf(trials, nextT);
+      const frame = frameOf(trials[k], trials[next >= 0 ? next : k], tt);
+      return { index, subject, k, frame, severity: computeSeverity(frame, severityModel) };
+    });
+}
+
+// Position of the tile with the highest finite severity (first on ties), or -1.
+export function highestSeverity(tiles) {
+  let best = -1;
+  tiles.forEach((tile, k) => {
+    if (Number.isFinite(tile.severity) && (best < 0 || tile.severity > tiles[best].severity)) best = k;
+  });
+  return best;
+}
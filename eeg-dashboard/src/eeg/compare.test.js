@@ -0,0 +1,59 @@
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { compareTiles, highestSeverity, defaultComparison, togglePick } from './compare';
+import CompareGrid from './CompareGrid';
+import { DEFAULT_BANDS_CONFIG } from './bands';
+
+const trial = (subject, t, ADR) => ({ subject, t, alpha: 10 * ADR, beta: 2, theta: 2, delta: 10, ADR, TAR: 1 });
+
+const subjects = [
+  [trial('sub-01', 1, 1.2), trial('sub-01', 2, 1.1), trial('sub-01', 3, 1)],
+  [trial('sub-02', 1, 0.3), trial('sub-02', 2, 0.2)],
+  [trial('sub-03', 2, 0.9), trial('sub-03', 3, 0.8)],
+];
+
+const frameOf = (A, B, tt) => ({ ...A, ADR: A.ADR + (B.ADR - A.ADR) * tt });
+
+test('picks a starting set and toggles subjects up to a limit', () => {
+  expect(defaultComparison(3, 2)).toEqual([2, 0, 1]);
+  expect(defaultComparison(10, 1, 2)).toEqual([1, 2]);
+  expect(togglePick([0, 1], 1)).toEqual([0]);
+  expect(togglePick([0], 2)).toEqual([0, 2]);
+  expect(togglePick([0, 1], 2, 2)).toEqual([0, 1]);
+});
+
+test('tiles line up on the trial number and ease toward the next one', () => {
+  const tiles = compareTiles(subjects, [0, 1, 2, 7], { t: 1, nextT: 2, tt: 0.5, frameOf });
+  expect(tiles.map((x) => [x.subject, x.k])).toEqual([
+    ['sub-01', 0],
+    ['sub-02', 0],
+    ['sub-03', -1],
+  ]);
+  expect(tiles[0].frame.ADR).toBeCloseTo(1.15);
+  expect(tiles[2].frame).toBeNull();
+
+  // low ADR is the severe end
+  expect(tiles[1].severity).toBeGreaterThan(tiles[0].severity);
+  expect(highestSeverity(tiles)).toBe(1);
+  expect(highestSeverity([{ severity: NaN }])).toBe(-1);
+});
+
+test('grid shows one tile per subject and outlines the most severe', () => {
+  const onOpen = jest.fn();
+  render(
+    <CompareGrid subjects={subjects} t={2} nextT={3} tt={0} frameOf={frameOf} bands={DEFAULT_BANDS_CONFIG} onOpen={onOpen} />
+  );
+
+  const worst = screen.getByRole('region', { name: 'sub-02' });
+  expect(within(worst).getByText('Highest severity')).toBeInTheDocument();
+  expect(screen.getAllByText('Highest severity')).toHaveLength(1);
+
+  fireEvent.click(within(screen.getByRole('region', { name: 'sub-03' })).getByRole('button', { name: 'sub-03' }));
+  expect(onOpen).toHaveBeenCalledWith(2, 0);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Remove sub-02' }));
+  expect(screen.queryByRole('region', { name: 'sub-02' })).toBeNull();
+  expect(within(screen.getByRole('region', { name: 'sub-03' })).getByText('Highest severity')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Add subject' }), { target: { value: '1' } });
+  expect(screen.getByRole('region', { name: 'sub-02' })).toBeInTheDocument();
+});
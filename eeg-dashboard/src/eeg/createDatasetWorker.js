@@ -0,0 +1,5 @@
+// Kept in its own module: `import.meta` is webpack-only syntax, so tests
+// mock this file (see setupTests.js) instead of parsing it.
+export default function createDatasetWorker() {
+  return new Worker(new URL("./dataset.worker.js", import.meta.url));
+}
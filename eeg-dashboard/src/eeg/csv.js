@@ -0,0 +1,70 @@
+import Papa from "papaparse";
+
+const PARSE_OPTIONS = { header: true, dynamicTyping: true, skipEmptyLines: true };
+
+// Parse in ~512 KB chunks so large files can report progress.
+const CHUNK_SIZE = 512 * 1024;
+
+// A string without a newline is a URL to fetch; one with newlines is CSV text.
+const isUrl = (source) => typeof source === "string" && !source.includes("\n");
+
+// ---------- CSV streaming ----------
+// `source` is a URL (fetched), a File/Blob, or a CSV string. Rows arrive in
+// chunks through `onRows(rows)`; `onFields(fields)` runs once before the first
+// chunk. Either may return false to stop parsing early. `onProgress` gets
+// `{ fraction, rows }`, with fraction null when the total size is unknown.
+// Resolves to `{ fields, aborted }`.
+export function streamCsv(source, { onFields, onRows, onProgress } = {}) {
+  const download = isUrl(source);
+  const total = download ? 0 : typeof source === "string" ? source.length : source.size;
+
+  return new Promise((resolve, reject) => {
+    let fields = null;
+    let aborted = false;
+    let rows = 0;
+
+    Papa.parse(source, {
+      ...PARSE_OPTIONS,
+      download,
+      chunkSize: CHUNK_SIZE,
+      chunk: (res, parser) => {
+        if (aborted) return;
+        const stop = () => {
+          aborted = true;
+          parser.abort();
+        };
+
+        // a throwing callback rejects instead of escaping from inside Papa
+        try {
+          if (!fields) {
+            fields = res.meta.fields || [];
+            if (onFields && onFields(fields) === false) return stop();
+          }
+          rows += res.data.length;
+          if (onRows && onRows(res.data) === false) return stop();
+          if (onProgress) onProgress({ fraction: total > 0 ? Math.min(1, res.meta.cursor / total) : null, rows });
+        } catch (err) {
+          reject(err); // before abort(), which can resolve via complete() synchronously
+          stop();
+        }
+      },
+      complete: () => {
+        if (onProgress && !aborted) onProgress({ fraction: 1, rows });
+        resolve({ fields: fields || [], aborted });
+      },
+      error: (err) => reject(err instanceof Error ? err : new Error(String(err?.message || err))),
+    });
+  });
+}
+
+// Whole file as a Papa-shaped `{ data, meta: { fields } }`.
+export async function readCsv(source, { onProgress } = {}) {
+  const data = [];
+  const { fields } = await streamCsv(source, {
+    onRows: (rows) => {
+      for (const row of rows) data.push(row);
+    },
+    onProgress: onProgress && (({ fraction }) => fraction != null && onProgress(fraction)),
+  });
+  return { data, meta: { fields } };
+}
@@ -0,0 +1,15 @@
+import { readCsv } from './csv';
+
+test('readCsv parses a CSV string into Papa-shaped rows and fields', async () => {
+  const progress = [];
+  const res = await readCsv('subject_number,trial_number,Alpha\nsub-01,0,1.5\nsub-01,1,2\n\n', {
+    onProgress: (f) => progress.push(f),
+  });
+
+  expect(res.meta.fields).toEqual(['subject_number', 'trial_number', 'Alpha']);
+  expect(res.data).toEqual([
+    { subject_number: 'sub-01', trial_number: 0, Alpha: 1.5 },
+    { subject_number: 'sub-01', trial_number: 1, Alpha: 2 },
+  ]);
+  expect(progress[progress.length - 1]).toBe(1);
+});
@@ -0,0 +1,18 @@
+/* eslint-disable no-restricted-globals */
+import { parseDataset } from "./parseDataset";
+
+// ---------- Off-main-thread dataset parsing (CSV or EDF) ----------
+// in:  { id, source, mapping, edf }
+// out: { id, type: "progress", fraction, rows } | { id, type: "result", result } | { id, type: "error", message }
+self.onmessage = async ({ data: { id, source, mapping, edf } }) => {
+  try {
+    const result = await parseDataset(source, {
+      mapping,
+      edf,
+      onProgress: (p) => self.postMessage({ id, type: "progress", ...p }),
+    });
+    self.postMessage({ id, type: "result", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,256 @@
+import { fitAperiodic } from "./aperiodic";
+import { parseSpectrumColumns } from "./spectrum";
+
+// ---------- Spectral analysis (Welch PSD, band power) ----------
+// Power spectral density in units²/Hz, one-sided, like scipy.signal.welch
+// (periodic window, constant detrend per segment by default).
+
+// Band edges in Hz, keyed by the CSV column each one fills: the bins
+// feature_analysis_data.csv was summarised with, where each band scalar is
+// the mean of `detrended` over lo <= f < hi (see csvBandValues). The classic
+// band preset (bands.js) and EDF import use the same edges.
+export const CSV_BANDS = [
+  { key: "Delta", lo: 1, hi: 4 },
+  { key: "Theta", lo: 4, hi: 7 },
+  { key: "Alpha", lo: 8, hi: 12 },
+  { key: "Beta", lo: 12, hi: 30 },
+];
+
+export const nextPow2 = (n) => 2 ** Math.ceil(Math.log2(Math.max(1, n)));
+
+// ---------- Windows ----------
+// Periodic (DFT-even) windows, as scipy.signal.get_window builds them.
+const cosineWindow = (coeffs) => (n) => {
+  const w = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    const x = (2 * Math.PI * k) / n;
+    w[k] = coeffs.reduce((acc, c, m) => acc + (m % 2 ? -c : c) * Math.cos(m * x), 0);
+  }
+  return w;
+};
+
+export const WINDOWS = {
+  hann: cosineWindow([0.5, 0.5]),
+  hamming: cosineWindow([0.54, 0.46]),
+  blackman: cosineWindow([0.42, 0.5, 0.08]),
+  boxcar: (n) => new Float64Array(n).fill(1),
+};
+
+export const hann = WINDOWS.hann;
+
+// `window` is a name from WINDOWS or a ready-made array of length n.
+export function getWindow(window, n) {
+  if (typeof window !== "string") {
+    if (window.length !== n) throw new Error(`Window has ${window.length} points, segment has ${n}`);
+    return Float64Array.from(window);
+  }
+  const make = WINDOWS[window];
+  if (!make) throw new Error(`Unknown window "${window}"`);
+  return make(n);
+}
+
+// ---------- Detrending ----------
+// In place over seg[0..n): "constant" removes the mean, "linear" a
+// least-squares line, "none" leaves the segment alone.
+function detrendSegment(seg, n, mode) {
+  if (mode === "none" || !mode) return;
+  let mean = 0;
+  for (let k = 0; k < n; k++) mean += seg[k];
+  mean /= n;
+
+  if (mode === "constant") {
+    for (let k = 0; k < n; k++) seg[k] -= mean;
+    return;
+  }
+  if (mode !== "linear") throw new Error(`Unknown detrend "${mode}"`);
+
+  const xMean = (n - 1) / 2;
+  let sxy = 0;
+  let sxx = 0;
+  for (let k = 0; k < n; k++) {
+    sxy += (k - xMean) * (seg[k] - mean);
+    sxx += (k - xMean) * (k - xMean);
+  }
+  const slope = sxx ? sxy / sxx : 0;
+  for (let k = 0; k < n; k++) seg[k] -= mean + slope * (k - xMean);
+}
+
+// In-place iterative radix-2 FFT; `re.length` must be a power of two.
+export function fft(re, im) {
+  const n = re.length;
+  if (n & (n - 1)) throw new Error(`FFT length ${n} is not a power of two`);
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const nr = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = nr;
+      }
+    }
+  }
+}
+
+// ---------- Welch PSD ----------
+// Segments of `nperseg` samples overlap by `overlap` (0..1) and are
+// zero-padded to `nfft` (default: next power of two). Returns { f, psd }
+// over 0..fs/2.
+export function welch(
+  samples,
+  fs,
+  { nperseg = Math.round(fs * 2), overlap = 0.5, window = "hann", detrend = "constant", nfft } = {}
+) {
+  if (samples.length < 2) throw new Error("Welch PSD needs at least 2 samples");
+  const segLen = Math.max(2, Math.min(Math.round(nperseg), samples.length));
+
+  const size = nextPow2(Math.max(segLen, nfft || 0));
+  const hop = Math.max(1, Math.round(segLen * (1 - overlap)));
+  const w = getWindow(window, segLen);
+  let wSq = 0;
+  for (let k = 0; k < segLen; k++) wSq += w[k] * w[k];
+
+  const bins = size / 2 + 1;
+  const psd = new Float64Array(bins);
+  const seg = new Float64Array(segLen);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  let segments = 0;
+
+  for (let start = 0; start + segLen <= samples.length; start += hop) {
+    for (let k = 0; k < segLen; k++) seg[k] = samples[start + k];
+    detrendSegment(seg, segLen, detrend);
+
+    re.fill(0);
+    im.fill(0);
+    for (let k = 0; k < segLen; k++) re[k] = seg[k] * w[k];
+    fft(re, im);
+
+    for (let k = 0; k < bins; k++) psd[k] += re[k] * re[k] + im[k] * im[k];
+    segments += 1;
+  }
+
+  const scale = 1 / (fs * wSq * segments);
+  const f = new Float64Array(bins);
+  for (let k = 0; k < bins; k++) {
+    // one-sided: fold negative frequencies in, except DC and Nyquist
+    psd[k] *= k === 0 || k === bins - 1 ? scale : 2 * scale;
+    f[k] = (k * fs) / size;
+  }
+
+  return { f, psd };
+}
+
+// ---------- Band summaries ----------
+// Trapezoid integral of psd over bins with lo <= f <= hi.
+export function integrateBand(f, psd, lo, hi) {
+  let total = 0;
+  for (let k = 1; k < f.length; k++) {
+    if (f[k - 1] < lo || f[k] > hi) continue;
+    total += ((psd[k - 1] + psd[k]) / 2) * (f[k] - f[k - 1]);
+  }
+  return total;
+}
+
+// { Delta, Theta, Alpha, Beta } (or whatever `bands` names) from one PSD.
+export function bandPowers(f, psd, bands = CSV_BANDS) {
+  const out = {};
+  bands.forEach(({ key, lo, hi }) => {
+    out[key] = integrateBand(f, psd, lo, hi);
+  });
+  return out;
+}
+
+// Mean of `values` over bins with lo <= f < hi (NaN for an empty band).
+export function bandMeans(f, values, bands = CSV_BANDS) {
+  const out = {};
+  bands.forEach(({ key, lo, hi }) => {
+    let sum = 0;
+    let n = 0;
+    for (let k = 0; k < f.length; k++) {
+      if (f[k] < lo || f[k] >= hi) continue;
+      sum += values[k];
+      n += 1;
+    }
+    out[key] = n ? sum / n : NaN;
+  });
+  return out;
+}
+
+// Throws unless every band has a key and 0 <= lo < hi.
+export function validateBands(bands) {
+  (bands || []).forEach((b, k) => {
+    if (!b || !b.key) throw new Error(`Band ${k + 1} has no name`);
+    if (!(Number.isFinite(b.lo) && Number.isFinite(b.hi) && b.lo >= 0 && b.lo < b.hi)) {
+      throw new Error(`Band ${b.key}: edges must satisfy 0 <= lo < hi`);
+    }
+  });
+  return bands;
+}
+
+// ---------- Feature columns ----------
+// f / psd_mean / fitted / detrended restricted to fMin..fMax. `fitted` is a
+// plain power-law fit (see aperiodic.js); the CSV's own fit may differ, so
+// compare band values against its `detrended` column (csvBandValues).
+export function spectrumColumns(f, psd, { fMin = 1, fMax = 45 } = {}) {
+  const keep = [];
+  for (let k = 0; k < f.length; k++) if (f[k] > 0 && f[k] >= fMin && f[k] <= fMax) keep.push(k);
+
+  const fOut = Float64Array.from(keep, (k) => f[k]);
+  const pOut = Float64Array.from(keep, (k) => psd[k]);
+  const fit = fitAperiodic(fOut, pOut, { fMin, fMax });
+  const fitted = fOut.map((hz) => 10 ** (fit.offset + fit.slope * Math.log10(hz)));
+  const detrended = pOut.map((p, k) => p / fitted[k]);
+
+  return { f: fOut, psd_mean: pOut, fitted, detrended };
+}
+
+// Raw samples -> the columns of one feature_analysis_data.csv row:
+// spectrum arrays plus band scalars. `bandMethod` is "detrended-mean" (the
+// CSV's convention) or "power" (trapezoid integral of the PSD); `bands`
+// defaults to CSV_BANDS either way.
+export function spectrumFeatures(samples, fs, { bands, bandMethod = "detrended-mean", fMin, fMax, ...welchOptions } = {}) {
+  const { f, psd } = welch(samples, fs, welchOptions);
+  const columns = spectrumColumns(f, psd, { fMin, fMax });
+  const scalars =
+    bandMethod === "power"
+      ? bandPowers(f, psd, validateBands(bands || CSV_BANDS))
+      : bandMeans(columns.f, columns.detrended, validateBands(bands || CSV_BANDS));
+  return { ...columns, ...scalars };
+}
+
+// Recomputes a CSV row's band scalars from its own `detrended` column.
+// Returns [{ key, csv, computed, relError, ok }], or null without a spectrum.
+export function csvBandValues(row, { bands = CSV_BANDS, tolerance = 1e-6 } = {}) {
+  const { spectrum } = parseSpectrumColumns(row);
+  if (!spectrum) return null;
+
+  const computed = bandMeans(spectrum.f, spectrum.detrended, bands);
+  return bands.map(({ key }) => {
+    const csv = Number(row[key]);
+    const relError = Math.abs(computed[key] - csv) / Math.max(Math.abs(computed[key]), 1e-12);
+    return { key, csv, computed: computed[key], relError, ok: relError <= tolerance };
+  });
+}
@@ -0,0 +1,122 @@
+import {
+  fft,
+  welch,
+  integrateBand,
+  bandPowers,
+  bandMeans,
+  hann,
+  getWindow,
+  nextPow2,
+  validateBands,
+  spectrumFeatures,
+  csvBandValues,
+} from './dsp';
+
+const sine = (hz, fs, n, amp = 1) => Float64Array.from({ length: n }, (_, k) => amp * Math.sin((2 * Math.PI * hz * k) / fs));
+
+test('fft of an impulse is flat and of a cosine peaks at its bin', () => {
+  const re = new Float64Array(8);
+  const im = new Float64Array(8);
+  re[0] = 1;
+  fft(re, im);
+  expect(Array.from(re)).toEqual(new Array(8).fill(1));
+
+  const cos = Float64Array.from({ length: 16 }, (_, k) => Math.cos((2 * Math.PI * 3 * k) / 16));
+  const ci = new Float64Array(16);
+  fft(cos, ci);
+  expect(cos[3]).toBeCloseTo(8);
+  expect(cos[13]).toBeCloseTo(8);
+  expect(Math.abs(cos[4])).toBeLessThan(1e-9);
+
+  expect(() => fft(new Float64Array(6), new Float64Array(6))).toThrow('not a power of two');
+});
+
+test('hann window and nextPow2', () => {
+  const w = hann(4);
+  expect(Array.from(w)).toEqual([0, 0.5, 1, 0.5].map((v) => expect.closeTo(v, 12)));
+  expect([nextPow2(1), nextPow2(5), nextPow2(256)]).toEqual([1, 8, 256]);
+});
+
+test('welch finds a sine peak and preserves its power', () => {
+  const fs = 256;
+  const { f, psd } = welch(sine(10, fs, fs * 8, 2), fs, { nperseg: fs * 2 });
+
+  expect(f[1]).toBeCloseTo(0.5);
+  const peak = psd.indexOf(Math.max(...psd));
+  expect(f[peak]).toBeCloseTo(10);
+  // sine of amplitude A has variance A² / 2
+  expect(integrateBand(f, psd, 0, fs / 2)).toBeCloseTo(2, 1);
+});
+
+test('bandPowers integrates each band between its edges', () => {
+  const f = Float64Array.from([0, 1, 2, 3, 4, 5]);
+  const psd = Float64Array.from([1, 1, 1, 1, 1, 1]);
+  expect(bandPowers(f, psd, [
+    { key: 'low', lo: 1, hi: 3 },
+    { key: 'all', lo: 0, hi: 5 },
+  ])).toEqual({ low: 2, all: 5 });
+});
+
+test('getWindow builds periodic windows and rejects unknown names', () => {
+  expect(getWindow('hamming', 4)[0]).toBeCloseTo(0.08);
+  expect(getWindow('blackman', 4)[2]).toBeCloseTo(1);
+  expect(Array.from(getWindow('boxcar', 3))).toEqual([1, 1, 1]);
+  expect(Array.from(getWindow([1, 2], 2))).toEqual([1, 2]);
+  expect(() => getWindow('kaiser', 4)).toThrow('Unknown window "kaiser"');
+});
+
+test('linear detrend keeps a ramp out of the low bins', () => {
+  const fs = 128;
+  const ramp = Float64Array.from({ length: fs * 4 }, (_, k) => k * 0.5 + Math.sin((2 * Math.PI * 12 * k) / fs));
+  const constant = welch(ramp, fs, { nperseg: fs });
+  const linear = welch(ramp, fs, { nperseg: fs, detrend: 'linear', window: 'hamming' });
+
+  expect(linear.psd[1]).toBeLessThan(constant.psd[1] / 1000);
+  expect(linear.f[linear.psd.indexOf(Math.max(...linear.psd))]).toBeCloseTo(12);
+});
+
+test('bandMeans averages half-open bins and validateBands checks edges', () => {
+  const f = [2, 4, 6, 8];
+  expect(bandMeans(f, [1, 2, 3, 4], [{ key: 'a', lo: 2, hi: 6 }, { key: 'none', lo: 20, hi: 30 }])).toEqual({ a: 1.5, none: NaN });
+
+  expect(() => validateBands([{ key: 'x', lo: 4, hi: 4 }])).toThrow('Band x: edges must satisfy 0 <= lo < hi');
+  expect(() => validateBands([{ lo: 1, hi: 2 }])).toThrow('Band 1 has no name');
+});
+
+test('spectrumFeatures returns CSV-shaped spectrum columns and band scalars', () => {
+  const fs = 256;
+  const x = Float64Array.from({ length: fs * 8 }, (_, k) => Math.sin((2 * Math.PI * 10 * k) / fs) + 0.01 * Math.sin(k));
+  const row = spectrumFeatures(x, fs, { nperseg: fs * 2, fMax: 40 });
+
+  expect(Object.keys(row)).toEqual(['f', 'psd_mean', 'fitted', 'detrended', 'Delta', 'Theta', 'Alpha', 'Beta']);
+  expect(row.f[0]).toBeCloseTo(1);
+  expect(row.f[row.f.length - 1]).toBeCloseTo(40);
+  expect(row.Alpha).toBeGreaterThan(row.Beta);
+
+  const power = spectrumFeatures(x, fs, { nperseg: fs * 2, bandMethod: 'power' });
+  expect(power.Alpha).toBeCloseTo(0.5, 1);
+});
+
+// first trial of public/feature_analysis_data.csv
+const CSV_ROW = {
+  subject_number: 'sub-01',
+  trial_number: 0,
+  f: '[ 1.953125  3.90625   5.859375  7.8125    9.765625 11.71875  13.671875 15.625    17.578125 19.53125  21.484375 23.4375   25.390625 27.34375 29.296875 31.25     33.203125 35.15625  37.109375 39.0625   41.015625 42.96875  44.921875]',
+  psd_mean: '[40.62106234  9.12811495  3.4618817   1.49876168  0.90319833  0.66889484 0.58895655  0.48346098  0.50500476  0.51408735  0.4630953   0.4334487 0.4765459   0.46405318  0.46395096  0.4628181   0.622781    0.51641114 0.59487966  0.44341154  0.49539272  0.45748751  0.61469395]',
+  fitted: '[56.69289943  4.18628227  1.75628552  1.13757078  0.87661402  0.73682056 0.65083553  0.59299822  0.55159113  0.52055711  0.49646886  0.47724902 0.4615684   0.44853858  0.43754397  0.42814499  0.42001959  0.41292655 0.40668175  0.40114221  0.3961953   0.39175106  0.38773683]',
+  detrended: '[0.71651058 2.18048243 1.97113832 1.3175107  1.03032613 0.9078124 0.90492379 0.81528235 0.91554185 0.98757147 0.93277813 0.90822335 1.03244916 1.03458922 1.06035276 1.08098451 1.48274275 1.25061258 1.4627646  1.10537243 1.25037508 1.16780159 1.58533803]',
+  Delta: 1.448496507506002,
+  Theta: 1.9711383202478674,
+  Alpha: 0.9690692691838376,
+  Beta: 0.9546346763755262,
+};
+
+test('csvBandValues reproduces the CSV band scalars from its detrended spectrum', () => {
+  const check = csvBandValues(CSV_ROW);
+  expect(check.map((c) => c.key)).toEqual(['Delta', 'Theta', 'Alpha', 'Beta']);
+  expect(check.every((c) => c.ok)).toBe(true);
+
+  const off = csvBandValues({ ...CSV_ROW, Alpha: 1.2 });
+  expect(off.find((c) => c.key === 'Alpha')).toMatchObject({ ok: false, csv: 1.2 });
+  expect(csvBandValues({ ...CSV_ROW, f: 'oops' })).toBeNull();
+});
@@ -0,0 +1,192 @@
+import { welch, bandPowers, bandMeans, spectrumColumns, validateBands } from "./dsp";
+import { DEFAULT_BANDS_CONFIG } from "./bands";
+import { normalizeChannel } from "./channels";
+
+// ---------- EDF / EDF+ reader ----------
+// Fixed 256-byte header, then 256 bytes per signal, then data records of
+// little-endian int16 samples (each record holds every signal in turn).
+// EDF+ "EDF Annotations" signals are kept in `annotations`, not `signals`.
+
+const ascii = (bytes, offset, length) => {
+  let s = "";
+  for (let k = offset; k < offset + length; k++) s += String.fromCharCode(bytes[k]);
+  return s.trim();
+};
+
+const num = (text, what) => {
+  const v = Number(text);
+  if (text === "" || !Number.isFinite(v)) throw new Error(`EDF header: invalid ${what} "${text}"`);
+  return v;
+};
+
+// [offset, width] of each per-signal header field, offsets in bytes per signal
+const SIGNAL_FIELDS = {
+  label: [0, 16],
+  transducer: [16, 80],
+  physDim: [96, 8],
+  physMin: [104, 8],
+  physMax: [112, 8],
+  digMin: [120, 8],
+  digMax: [128, 8],
+  prefilter: [136, 80],
+  samplesPerRecord: [216, 8],
+};
+
+const isAnnotation = (label) => label === "EDF Annotations";
+
+// "EEG Fp1-REF" / "Fp1-A1" / "C3" -> "C3" (null when not a 10-20 label)
+export function edfChannelName(label) {
+  const core = String(label).replace(/^(EEG|EOG|EMG|ECG)\s+/i, "").split(/[-:]/)[0];
+  return normalizeChannel(core);
+}
+
+export function parseEDF(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length < 256) throw new Error("EDF: file is shorter than the 256-byte header");
+  if (ascii(bytes, 0, 8) !== "0") throw new Error("EDF: unsupported version (only EDF/EDF+ are read)");
+
+  const reserved = ascii(bytes, 192, 44);
+  const header = {
+    patient: ascii(bytes, 8, 80),
+    recording: ascii(bytes, 88, 80),
+    startDate: ascii(bytes, 168, 8),
+    startTime: ascii(bytes, 176, 8),
+    headerBytes: num(ascii(bytes, 184, 8), "header size"),
+    edfPlus: reserved.startsWith("EDF+"),
+    discontinuous: reserved.startsWith("EDF+D"),
+    records: num(ascii(bytes, 236, 8), "record count"),
+    recordSeconds: num(ascii(bytes, 244, 8), "record duration"),
+    signalCount: num(ascii(bytes, 252, 4), "signal count"),
+  };
+
+  const ns = header.signalCount;
+  if (header.headerBytes !== 256 * (ns + 1) || bytes.length < header.headerBytes) {
+    throw new Error(`EDF header: ${ns} signals need a ${256 * (ns + 1)}-byte header, file declares ${header.headerBytes}`);
+  }
+
+  // per-signal fields are stored column-wise: all labels, then all transducers, ...
+  const field = (k, [offset, width]) => ascii(bytes, 256 + offset * ns + k * width, width);
+  const defs = Array.from({ length: ns }, (_, k) => {
+    const label = field(k, SIGNAL_FIELDS.label);
+    const number = (key) => num(field(k, SIGNAL_FIELDS[key]), `${key} of ${label}`);
+    return {
+      label,
+      physDim: field(k, SIGNAL_FIELDS.physDim),
+      physMin: number("physMin"),
+      physMax: number("physMax"),
+      digMin: number("digMin"),
+      digMax: number("digMax"),
+      prefilter: field(k, SIGNAL_FIELDS.prefilter),
+      samplesPerRecord: number("samplesPerRecord"),
+    };
+  });
+
+  const recordBytes = defs.reduce((a, d) => a + d.samplesPerRecord * 2, 0);
+  const available = recordBytes > 0 ? Math.floor((bytes.length - header.headerBytes) / recordBytes) : 0;
+  // -1 means "unknown" (recording still open); trust the file size then
+  const records = header.records < 0 ? available : Math.min(header.records, available);
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const data = defs.map((d) => new Float64Array(d.samplesPerRecord * records));
+
+  const gains = defs.map((d) => (d.physMax - d.physMin) / (d.digMax - d.digMin || 1));
+  let offset = header.headerBytes;
+  for (let r = 0; r < records; r++) {
+    for (let k = 0; k < ns; k++) {
+      const { samplesPerRecord, digMin, physMin } = defs[k];
+      const out = data[k];
+      const base = r * samplesPerRecord;
+      for (let s = 0; s < samplesPerRecord; s++) {
+        out[base + s] = (view.getInt16(offset, true) - digMin) * gains[k] + physMin;
+        offset += 2;
+      }
+    }
+  }
+
+  const signals = [];
+  const annotations = [];
+  defs.forEach((d, k) => {
+    const entry = { ...d, fs: d.samplesPerRecord / header.recordSeconds, samples: data[k] };
+    (isAnnotation(d.label) ? annotations : signals).push(entry);
+  });
+
+  return { header: { ...header, records }, signals, annotations };
+}
+
+// EDF+ patient field is "code sex birthdate name"; plain EDF is free text.
+export function edfSubject(header, fallback) {
+  const code = String(header.patient || "").split(/\s+/)[0];
+  return code && code !== "X" ? code : fallback;
+}
+
+// ---------- EDF -> trial rows ----------
+export const DEFAULT_EDF_OPTIONS = {
+  epochSeconds: 4, // one trial per epoch
+  windowSeconds: 2, // Welch segment length inside each epoch
+  overlap: 0.5,
+  fMin: 1, // spectrum columns keep fMin..fMax Hz
+  fMax: 45,
+};
+
+// Every channel sampled at the most common rate; 10-20 labelled channels
+// win over anything else (EOG, ECG, ...) when present.
+function pickChannels(signals) {
+  const eeg = signals.filter((s) => edfChannelName(s.label));
+  const pool = eeg.length > 0 ? eeg : signals;
+  const counts = new Map();
+  pool.forEach((s) => counts.set(s.fs, (counts.get(s.fs) || 0) + 1));
+  const fs = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+  return pool.filter((s) => s.fs === fs);
+}
+
+// Parsed EDF -> Papa-shaped `{ data, meta: { fields } }` with the same columns
+// as feature_analysis_data.csv. `bands` is a band configuration (see
+// bands.js; defaults to the classic one) and each band fills the column it
+// names. Band scalars follow the CSV convention (mean of `detrended` over
+// lo <= f < hi of the channel-mean spectrum), so they match what readBand
+// would compute for bands added later; per-channel "C3_Alpha" columns stay
+// band powers for the asymmetry view.
+export function edfToRows(edf, { subject = "edf", bands = DEFAULT_BANDS_CONFIG, onProgress, ...options } = {}) {
+  const { epochSeconds, windowSeconds, overlap, fMin, fMax } = { ...DEFAULT_EDF_OPTIONS, ...options };
+  const channels = pickChannels(edf.signals);
+  if (channels.length === 0) throw new Error("EDF: no signal channels");
+
+  const fs = channels[0].fs;
+  const epochLen = Math.round(epochSeconds * fs);
+  const epochs = Math.min(...channels.map((c) => Math.floor(c.samples.length / epochLen)));
+  if (!(epochs > 0)) throw new Error(`EDF: recording is shorter than one ${epochSeconds}s epoch`);
+
+  const named = channels.map((c) => edfChannelName(c.label));
+  const columns = validateBands(bands).map((b) => ({ key: b.name ?? b.key, lo: b.lo, hi: b.hi }));
+  const data = [];
+
+  for (let e = 0; e < epochs; e++) {
+    const row = { subject_number: subject, trial_number: e };
+    let meanPsd = null;
+    let f = null;
+
+    channels.forEach((c, k) => {
+      const seg = c.samples.subarray(e * epochLen, (e + 1) * epochLen);
+      const spec = welch(seg, fs, { nperseg: Math.round(Math.min(windowSeconds, epochSeconds) * fs), overlap });
+
+      if (named[k]) {
+        const powers = bandPowers(spec.f, spec.psd, columns);
+        columns.forEach(({ key }) => {
+          row[`${named[k]}_${key}`] = powers[key];
+        });
+      }
+
+      f = spec.f;
+      if (!meanPsd) meanPsd = new Float64Array(spec.psd.length);
+      for (let j = 0; j < meanPsd.length; j++) meanPsd[j] += spec.psd[j] / channels.length;
+    });
+
+    const spectrum = spectrumColumns(f, meanPsd, { fMin, fMax });
+    Object.assign(row, bandMeans(spectrum.f, spectrum.detrended, columns), spectrum);
+    data.push(row);
+
+    if (onProgress) onProgress((e + 1) / epochs);
+  }
+
+  return { data, meta: { fields: Object.keys(data[0]) } };
+}
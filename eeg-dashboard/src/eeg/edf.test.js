@@ -0,0 +1,140 @@
+import { parseEDF, edfToRows, edfSubject, edfChannelName } from './edf';
+import { buildDataset } from './loader';
+import { parseDataset } from './parseDataset';
+import { bandMeans, CSV_BANDS } from './dsp';
+import { makeBand } from './bands';
+
+// ---------- Synthetic EDF fixtures ----------
+const pad = (value, width) => String(value).padEnd(width, ' ').slice(0, width);
+
+// signals: [{ label, fs, samples(t), physMin, physMax }]; digital range is full int16
+function makeEDF({ signals, records, recordSeconds = 1, patient = 'X X X X', reserved = '' }) {
+  const ns = signals.length;
+  const head = [
+    pad('0', 8),
+    pad(patient, 80),
+    pad('Startdate X X X X', 80),
+    pad('01.01.24', 8),
+    pad('00.00.00', 8),
+    pad(256 * (ns + 1), 8),
+    pad(reserved, 44),
+    pad(records, 8),
+    pad(recordSeconds, 8),
+    pad(ns, 4),
+  ];
+  const column = (fn, width) => signals.map((s) => pad(fn(s), width)).join('');
+  head.push(
+    column((s) => s.label, 16),
+    column(() => '', 80),
+    column((s) => s.unit ?? 'uV', 8),
+    column((s) => s.physMin ?? -3276.8, 8),
+    column((s) => s.physMax ?? 3276.7, 8),
+    column(() => -32768, 8),
+    column(() => 32767, 8),
+    column(() => '', 80),
+    column((s) => s.fs * recordSeconds, 8),
+    column(() => '', 32)
+  );
+  const text = head.join('');
+
+  const perRecord = signals.reduce((a, s) => a + s.fs * recordSeconds, 0);
+  const buffer = new ArrayBuffer(text.length + records * perRecord * 2);
+  const bytes = new Uint8Array(buffer);
+  for (let k = 0; k < text.length; k++) bytes[k] = text.charCodeAt(k);
+
+  const view = new DataView(buffer);
+  let offset = text.length;
+  for (let r = 0; r < records; r++) {
+    for (const s of signals) {
+      const physMin = s.physMin ?? -3276.8;
+      const physMax = s.physMax ?? 3276.7;
+      const gain = (physMax - physMin) / 65535;
+      for (let k = 0; k < s.fs * recordSeconds; k++) {
+        const dig = Math.round((s.samples(r * recordSeconds + k / s.fs) - physMin) / gain - 32768);
+        view.setInt16(offset, Math.max(-32768, Math.min(32767, dig)), true);
+        offset += 2;
+      }
+    }
+  }
+  return buffer;
+}
+
+const wave = (hz, amp) => (t) => amp * Math.sin(2 * Math.PI * hz * t);
+
+const FIXTURE = () =>
+  makeEDF({
+    patient: 'SUB-07 F 02-MAY-1951 Test',
+    reserved: 'EDF+C',
+    records: 8,
+    signals: [
+      { label: 'EEG C3-REF', fs: 128, samples: wave(10, 40) }, // alpha
+      { label: 'EEG C4-REF', fs: 128, samples: wave(10, 20) },
+      { label: 'ECG', fs: 128, samples: wave(2, 500) }, // ignored: not a 10-20 label
+      { label: 'EDF Annotations', fs: 8, samples: () => 0 },
+    ],
+  });
+
+test('parseEDF reads the header, scales samples and splits off annotations', () => {
+  const edf = parseEDF(FIXTURE());
+
+  expect(edf.header).toMatchObject({ records: 8, recordSeconds: 1, signalCount: 4, edfPlus: true, discontinuous: false });
+  expect(edf.signals.map((s) => s.label)).toEqual(['EEG C3-REF', 'EEG C4-REF', 'ECG']);
+  expect(edf.annotations).toHaveLength(1);
+
+  const c3 = edf.signals[0];
+  expect(c3.fs).toBe(128);
+  expect(c3.samples).toHaveLength(8 * 128);
+  expect(c3.samples[32]).toBeCloseTo(40 * Math.sin((2 * Math.PI * 10 * 32) / 128), 0);
+  expect(edfSubject(edf.header, 'file')).toBe('SUB-07');
+  expect(edfSubject({ patient: 'X' }, 'file')).toBe('file');
+});
+
+test('parseEDF rejects malformed headers', () => {
+  expect(() => parseEDF(new ArrayBuffer(10))).toThrow('shorter than the 256-byte header');
+
+  const bad = new Uint8Array(FIXTURE());
+  bad[0] = '9'.charCodeAt(0);
+  expect(() => parseEDF(bad.buffer)).toThrow('unsupported version');
+});
+
+test('edfChannelName strips type prefixes and reference suffixes', () => {
+  expect(['EEG Fp1-REF', 'c3-A1', 'T8', 'ECG', 'Resp'].map(edfChannelName)).toEqual(['Fp1', 'C3', 'T8', null, null]);
+});
+
+test('edfToRows epochs the recording into CSV-shaped trials', () => {
+  const res = edfToRows(parseEDF(FIXTURE()), { subject: 'SUB-07', epochSeconds: 2, windowSeconds: 1 });
+
+  expect(res.data).toHaveLength(4);
+  expect(res.meta.fields).toEqual(expect.arrayContaining(['subject_number', 'trial_number', 'Alpha', 'C3_Alpha', 'C4_Delta', 'f', 'psd_mean']));
+  expect(res.meta.fields).not.toContain('ECG_Alpha');
+
+  const row = res.data[1];
+  expect(row.trial_number).toBe(1);
+  expect(row.Alpha).toBeGreaterThan(50 * row.Delta);
+  expect(row.C3_Alpha / row.C4_Alpha).toBeCloseTo(4, 0); // amplitude ratio 2 -> power ratio 4
+  // band scalars are read from the spectrum the way readBand does for a CSV
+  expect(row.Alpha).toBeCloseTo(bandMeans(row.f, row.detrended, CSV_BANDS).Alpha);
+
+  const { subjects } = buildDataset(res);
+  expect(subjects[0]).toHaveLength(4);
+  expect(subjects[0][0].spectrum.f.length).toBeGreaterThan(0);
+  expect(subjects[0][0].bsiResult.pairs.length).toBe(1);
+});
+
+test('edfToRows fills one column per configured band', () => {
+  const bands = [makeBand('Alpha', 8, 12), makeBand('Low beta', 13, 20)];
+  const res = edfToRows(parseEDF(FIXTURE()), { epochSeconds: 2, windowSeconds: 1, bands });
+
+  expect(res.meta.fields).toEqual(expect.arrayContaining(['Alpha', 'Low beta', 'C3_Alpha', 'C4_Low beta']));
+  expect(res.meta.fields).not.toContain('Delta');
+  expect(() => edfToRows(parseEDF(FIXTURE()), { bands: [makeBand('Bad', 8, 4)] })).toThrow('Band bad: edges must satisfy');
+});
+
+test('parseDataset routes .edf files through the EDF pipeline', async () => {
+  const buffer = FIXTURE();
+  const file = { name: 'night-1.edf', arrayBuffer: async () => buffer };
+  const result = await parseDataset(file, { edf: { epochSeconds: 4, windowSeconds: 2 } });
+
+  expect(result.status).toBe('done');
+  expect(result.dataset.subjects[0].map((r) => `${r.subject}/${r.t}`)).toEqual(['SUB-07/0', 'SUB-07/1']);
+});
@@ -0,0 +1,54 @@
+// ---------- Helpers ----------
+export const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+export const lerp = (a, b, t) => a + (b - a) * t;
+export const safe = (v) => (Number.isFinite(v) ? v : 0);
+export const safeText = (v) => (Number.isFinite(v) ? v.toFixed(2) : "--");
+export const finite = (n) => Number.isFinite(n);
+
+// Running min/max without spreading large arrays into Math.min/max.
+export function createExtent() {
+  let min = Infinity;
+  let max = -Infinity;
+  return {
+    add(v) {
+      if (!finite(v)) return;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    },
+    get empty() {
+      return min > max;
+    },
+    get min() {
+      return min;
+    },
+    get max() {
+      return max;
+    },
+  };
+}
+
+// Min/max of one metric over a subject's trials, padded when flat so a
+// gauge never gets a zero-width range.
+export function subjectMinMax(rows, key) {
+  const ext = createExtent();
+  (rows || []).forEach((r) => ext.add(r?.[key]));
+  if (ext.empty) return { min: 0, max: 1 };
+  let { min, max } = ext;
+
+  if (min === max) {
+    const eps = Math.max(0.001, Math.abs(min) * 0.05);
+    min -= eps;
+    max += eps;
+  }
+  return { min, max };
+}
+
+// Mean of each key over a subject's trials (NaN when no finite values).
+export function subjectMeans(rows, keys) {
+  const out = {};
+  keys.forEach((key) => {
+    const vals = (rows || []).map((r) => r?.[key]).filter(finite);
+    out[key] = vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN;
+  });
+  return out;
+}
@@ -0,0 +1,196 @@
+// Shared EEG dashboard components, hooks and data helpers.
+
+export { clamp, lerp, safe, safeText, finite, createExtent, subjectMinMax, subjectMeans } from "./helpers";
+export {
+  DEFAULT_SEVERITY_MODEL,
+  registerSeverityModel,
+  listSeverityModels,
+  getSeverityModel,
+  computeSeverity,
+  explainSeverity,
+  computeStrokeSeverity,
+} from "./severity";
+
+export { SPECTRUM_KEYS, parseNumpyArray, parseSpectrumColumns, lerpSpectrum } from "./spectrum";
+export { DEFAULT_APERIODIC_OPTIONS, fitAperiodic, fitTrialAperiodic } from "./aperiodic";
+export {
+  CSV_BANDS,
+  WINDOWS,
+  nextPow2,
+  hann,
+  getWindow,
+  fft,
+  welch,
+  integrateBand,
+  bandPowers,
+  bandMeans,
+  validateBands,
+  spectrumColumns,
+  spectrumFeatures,
+  csvBandValues,
+} from "./dsp";
+export {
+  BAND_PRESETS,
+  DEFAULT_BANDS_CONFIG,
+  bandKey,
+  makeBand,
+  validateBandConfig,
+  sameBandValues,
+  readBand,
+} from "./bands";
+export {
+  BUILTIN_RATIOS,
+  RATIO_RANGES,
+  compileRatio,
+  computeRatio,
+  computeRatios,
+  ratioBands,
+  availableRatios,
+  statPrefix,
+  sameRatios,
+  makeCustomRatio,
+  loadCustomRatios,
+  saveCustomRatios,
+} from "./ratios";
+export { parseRatioExpression, expressionBands, compileExpression } from "./ratioExpression";
+export {
+  NORM_MODES,
+  Z_CUTOFFS,
+  PERCENTILE_CUTOFFS,
+  NORM_ZONE_COLORS,
+  NORM_GAUGES,
+  normMetrics,
+  metricValue,
+  quantile,
+  describe,
+  buildReference,
+  zScore,
+  percentileOf,
+  normalize,
+  normZone,
+} from "./normative";
+export {
+  CHANGE_METHODS,
+  SHIFT_COLORS,
+  noiseSigma,
+  pelt,
+  cusum,
+  describeShifts,
+  detectChangePoints,
+  changeMetrics,
+  subjectChangePoints,
+} from "./changepoint";
+export {
+  ALERT_LEVELS,
+  ALERT_DIRECTIONS,
+  DEFAULT_ALERT_RULES,
+  MAX_LOG_ENTRIES,
+  alertMetrics,
+  validateAlertRule,
+  stepRule,
+  createAlertEngine,
+  applyAlertEvents,
+  setAlertStatus,
+  bannerAlerts,
+  loadAlertRules,
+  saveAlertRules,
+  loadAlertLog,
+  saveAlertLog,
+} from "./alerts";
+export {
+  DEFAULT_TOLERANCE,
+  RATIO_SOURCES,
+  datasetColumns,
+  sourceColumnFor,
+  withSourceColumns,
+  withinTolerance,
+  auditDataset,
+} from "./audit";
+export { DEFAULT_EDF_OPTIONS, parseEDF, edfToRows, edfSubject, edfChannelName } from "./edf";
+export { CHANNEL_BANDS, TEN_TWENTY, normalizeChannel, wideChannelColumns, attachChannels } from "./channels";
+export { HOMOLOGOUS_PAIRS, BSI_BANDS, computeBSI, lerpBSI } from "./bsi";
+export {
+  APERIODIC_FIT,
+  REQUIRED_COLUMNS,
+  hasSpectrumColumns,
+  missingColumns,
+  validateColumns,
+  mapTrialRow,
+  withBands,
+  datasetStats,
+  rebandDataset,
+  datasetUnder,
+  createDatasetAccumulator,
+  buildDataset,
+} from "./loader";
+export { streamCsv, readCsv } from "./csv";
+export { parseDataset } from "./parseDataset";
+export { default as parseDatasetAsync } from "./parseDatasetAsync";
+export {
+  MAPPING_FIELDS,
+  mappingFields,
+  guessMapping,
+  isCompleteMapping,
+  mapRows,
+  mapFields,
+  applyMapping,
+  loadMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset,
+} from "./columnMapping";
+export {
+  TREND_SCALES,
+  SERIES_COLORS,
+  DEFAULT_TREND_METRICS,
+  fullWindow,
+  clampWindow,
+  zoomWindow,
+  panWindow,
+  brushWindow,
+  niceTicks,
+  seriesExtent,
+} from "./trend";
+export {
+  summarizeSubjects,
+  filterAndSortSubjects,
+  cohortMatrix,
+  clusterOrder,
+  orderRows,
+  HEATMAP_ORDERS,
+  HEATMAP_COLORS,
+  HEATMAP_EMPTY,
+  heatColor,
+} from "./cohort";
+
+export { MAX_COMPARE, trialIndexOf, defaultComparison, togglePick, compareTiles, highestSeverity } from "./compare";
+
+export { default as useEEGData } from "./useEEGData";
+export { default as usePlayback, PLAYBACK_SPEEDS, END_MODES } from "./usePlayback";
+export { default as usePlaybackKeys } from "./usePlaybackKeys";
+export { default as useNormativeReference } from "./useNormativeReference";
+export { default as useAlerts } from "./useAlerts";
+
+export { default as CircularEEGChart, bandMagnitude } from "./CircularEEGChart";
+export { default as RatioGauge } from "./RatioGauge";
+export { default as SpectrumChart } from "./SpectrumChart";
+export { default as AperiodicSlopeChart } from "./AperiodicSlopeChart";
+export { default as BrainAsymmetryChart } from "./BrainAsymmetryChart";
+export { default as SeverityBreakdown } from "./SeverityBreakdown";
+export { default as PlaybackTimeline } from "./PlaybackTimeline";
+export { default as SubjectPicker } from "./SubjectPicker";
+export { default as DatasetLoader } from "./DatasetLoader";
+export { default as ColumnMappingWizard } from "./ColumnMappingWizard";
+export { default as BandConfigEditor } from "./BandConfigEditor";
+export { default as RatioBuilder } from "./RatioBuilder";
+export { default as DataAudit } from "./DataAudit";
+export { default as BaselineEditor } from "./BaselineEditor";
+export { default as NormativeTable } from "./NormativeTable";
+export { default as AlertBanner } from "./AlertBanner";
+export { default as AlertPanel } from "./AlertPanel";
+export { default as ChangePointPanel } from "./ChangePointPanel";
+export { default as TrendChart } from "./TrendChart";
+export { default as CohortHeatmap } from "./CohortHeatmap";
+export { default as CompareGrid } from "./CompareGrid";
+
+export { LAYOUTS, DEFAULT_LAYOUT, RATIO_GAUGES } from "./layouts";
+export { default as Dashboard, interpolateFrame } from "./Dashboard";
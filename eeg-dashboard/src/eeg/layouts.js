@@ -0,0 +1,59 @@
+// ---------- Dashboard layouts ----------
+// Each layout is rows of panel names (see PANELS in Dashboard.js) plus the
+// gauge presentation: `range` is "global" or "subject", everything else is
+// passed to RatioGauge as props. These replace the old forked App files:
+//   radar     <- radar.js
+//   standard  <- radar_with_guage.js / App.js
+//   arrow     <- arrow_no_yellow.js
+//   clinical  <- SeanApp.jsx
+
+export const LAYOUTS = {
+  standard: {
+    label: "Radar + spectrum + gauges",
+    rows: [
+      ["radar", "spectrum", "gauges"],
+      ["severity", "norms"],
+      ["trends"],
+      ["changes"],
+    ],
+    gauge: { variant: "three-zone", range: "global" },
+  },
+  radar: {
+    label: "Radar only",
+    rows: [["radar"]],
+  },
+  arrow: {
+    label: "Radar + arrow gauges",
+    rows: [["radar", "gauges"]],
+    gauge: { variant: "arrow", range: "subject" },
+  },
+  cohort: {
+    label: "Cohort heatmap",
+    rows: [
+      ["heatmap"],
+      ["radar", "trends"],
+    ],
+  },
+  compare: {
+    label: "Compare subjects",
+    rows: [["compare"]],
+  },
+  clinical: {
+    label: "Slope + BSI",
+    rows: [
+      ["radar", "gauges"],
+      ["slope", "bsi"],
+      ["severity", "norms"],
+      ["trends"],
+      ["changes"],
+    ],
+    gauge: { variant: "three-zone", range: "global" },
+  },
+};
+
+export const DEFAULT_LAYOUT = "standard";
+
+// Built-in ratios (see ratios.js) drawn as gauges when their bands are
+// configured; user-defined ratios are always drawn. Title, needle direction
+// and (optionally) range come from the ratio definition.
+export const RATIO_GAUGES = ["ADR", "TAR"];
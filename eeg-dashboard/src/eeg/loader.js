@@ -0,0 +1,175 @@
+import { fitTrialAperiodic } from "./aperiodic";
+import { attachChannels } from "./channels";
+import { computeBSI } from "./bsi";
+import { createExtent } from "./helpers";
+import { SPECTRUM_KEYS, parseSpectrumColumns } from "./spectrum";
+import { DEFAULT_BANDS_CONFIG, readBand, sameBandValues } from "./bands";
+import { availableRatios, computeRatios, statPrefix, sameRatios } from "./ratios";
+
+// Frequency range / spectrum column used for the per-trial aperiodic fit
+export const APERIODIC_FIT = { fMin: 2, fMax: 40, source: "psd_mean" };
+
+// Columns every feature CSV must carry; everything else is optional. The
+// band columns may be left out when the spectrum columns are there to read
+// them from (see readBand).
+export const REQUIRED_COLUMNS = ["subject_number", "trial_number", "Alpha", "Beta", "Theta", "Delta"];
+const ID_COLUMNS = ["subject_number", "trial_number"];
+
+export const hasSpectrumColumns = (fields) => SPECTRUM_KEYS.every((k) => (fields || []).includes(k));
+
+export function missingColumns(fields) {
+  const list = fields || [];
+  const hasSpectrum = hasSpectrumColumns(list);
+  return REQUIRED_COLUMNS.filter((c) => !list.includes(c) && !(hasSpectrum && !ID_COLUMNS.includes(c)));
+}
+
+// Throws with the missing column names so the UI can show them as-is.
+export function validateColumns(fields) {
+  const missing = missingColumns(fields);
+  if (missing.length > 0) {
+    throw new Error(`Missing required column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`);
+  }
+}
+
+const NON_SCALAR_COLUMNS = new Set([...ID_COLUMNS, ...SPECTRUM_KEYS, "channels", "channel"]);
+
+// Numeric scalar columns of a row, kept on the trial so bands can be
+// re-read under a different band configuration without re-parsing.
+function scalarColumns(r) {
+  const out = {};
+  Object.keys(r).forEach((k) => {
+    if (NON_SCALAR_COLUMNS.has(k)) return;
+    const v = r[k];
+    if (typeof v === "number" && !Number.isNaN(v)) out[k] = v;
+  });
+  return out;
+}
+
+// Trial with its band values and ratios (re)computed for `bands`.
+export function withBands(core, bands = DEFAULT_BANDS_CONFIG, ratios = availableRatios(bands)) {
+  const values = {};
+  bands.forEach((b) => {
+    values[b.key] = readBand(core.columns, core.spectrum, b);
+  });
+  return { ...core, ...values, ...computeRatios(values, ratios, core.columns) };
+}
+
+// One CSV row -> one trial object consumed by the charts.
+export function mapTrialRow(r, { aperiodic = APERIODIC_FIT, bands, ratios } = {}) {
+  const { spectrum, error: spectrumError } = parseSpectrumColumns(r);
+  const fit = fitTrialAperiodic(spectrum, aperiodic);
+  const bsi = computeBSI(r.channels);
+
+  const core = {
+    subject: String(r["subject_number"]),
+    t: Number(r["trial_number"]),
+    columns: scalarColumns(r),
+    spectrum,
+    spectrumError,
+    slope: fit.slope,
+    aperiodicOffset: fit.offset,
+    slopeR2: fit.r2,
+    bsi: bsi.bsi,
+    bsiResult: bsi,
+  };
+  return withBands(core, bands, ratios);
+}
+
+// Band-independent fields of a trial (see mapTrialRow).
+const CORE_KEYS = ["subject", "t", "columns", "spectrum", "spectrumError", "slope", "aperiodicOffset", "slopeR2", "bsi", "bsiResult"];
+const coreOf = (trial) => Object.fromEntries(CORE_KEYS.map((k) => [k, trial[k]]));
+
+// ---------- Dataset stats ----------
+// Metrics tracked for the dataset-wide `stats` and the value each side
+// falls back to (and is widened to) when no trial has a finite value.
+function statKeys(bands, ratios) {
+  return [
+    ...bands.map(({ key }) => ({ key, prefix: key, min: 0, max: 1, widen: false })),
+    ...ratios.map(({ key }) => ({ key, prefix: statPrefix(key), min: 0, max: 1, widen: true })),
+    { key: "slope", prefix: "slope", min: 0, max: 0, widen: true },
+    { key: "bsi", prefix: "bsi", min: 0, max: 0, widen: true },
+  ];
+}
+
+// { alphaMin, alphaMax, adrMin, ... } over every trial of every subject.
+export function datasetStats(subjects, bands = DEFAULT_BANDS_CONFIG, ratios = availableRatios(bands)) {
+  const keys = statKeys(bands, ratios);
+  const extents = keys.map(() => createExtent());
+  subjects.forEach((trials) =>
+    trials.forEach((row) => {
+      keys.forEach(({ key }, k) => extents[k].add(row[key]));
+    })
+  );
+
+  const stats = {};
+  keys.forEach(({ prefix, min, max, widen }, k) => {
+    const ext = extents[k];
+    stats[`${prefix}Min`] = ext.empty ? min : widen ? Math.min(ext.min, min) : ext.min;
+    stats[`${prefix}Max`] = ext.empty ? max : widen ? Math.max(ext.max, max) : ext.max;
+  });
+  return stats;
+}
+
+// Re-reads every trial's bands and ratios under a new band configuration
+// or ratio list.
+export function rebandDataset({ subjects, ...rest }, bands, ratios = availableRatios(bands)) {
+  const next = subjects.map((trials) => trials.map((trial) => withBands(coreOf(trial), bands, ratios)));
+  return { ...rest, subjects: next, stats: datasetStats(next, bands, ratios), bands, ratios };
+}
+
+// `dataset` as read under `bands` / `ratios`; only rebanded when they differ.
+export const datasetUnder = (dataset, bands, ratios) =>
+  sameBandValues(dataset.bands, bands) && sameRatios(dataset.ratios, ratios) ? dataset : rebandDataset(dataset, bands, ratios);
+
+// ---------- Incremental dataset building ----------
+// Feed Papa chunks through `add(rows)` as they arrive, then `finish()` once.
+// Long-format (per-channel) files are buffered because a trial's channel rows
+// can be split across chunks; every other layout is mapped per chunk.
+export function createDatasetAccumulator(fields, options = {}) {
+  const longFormat = (fields || []).includes("channel");
+  const bands = options.bands || DEFAULT_BANDS_CONFIG;
+  const ratios = options.ratios || availableRatios(bands);
+  const buffered = [];
+  const bySubject = new Map();
+  const spectrumErrors = [];
+  let count = 0;
+
+  const addMapped = (raw) => {
+    attachChannels(raw, fields).forEach((r) => {
+      if (r["trial_number"] == null || r["subject_number"] == null) return;
+      const row = mapTrialRow(r, { ...options, bands, ratios });
+      if (!Number.isFinite(row.t)) return;
+
+      if (row.spectrumError) spectrumErrors.push(row.spectrumError);
+
+      let group = bySubject.get(row.subject);
+      if (!group) bySubject.set(row.subject, (group = []));
+      group.push(row);
+      count += 1;
+    });
+  };
+
+  return {
+    add(rows) {
+      if (longFormat) for (const r of rows) buffered.push(r);
+      else addMapped(rows);
+    },
+    get count() {
+      return count;
+    },
+    finish() {
+      if (longFormat) addMapped(buffered.splice(0));
+
+      const subjects = [...bySubject.values()].map((g) => g.sort((a, b) => a.t - b.t));
+      return { subjects, stats: datasetStats(subjects, bands, ratios), spectrumErrors, bands, ratios };
+    },
+  };
+}
+
+// Papa.parse result -> { subjects, stats, spectrumErrors }. `subjects` is an
+// array of per-subject trial arrays sorted by trial number.
+export function buildDataset(res, options) {
+  const acc = createDatasetAccumulator(res.meta?.fields, options);
+  acc.add(res.data);
+  return acc.finish();
+}
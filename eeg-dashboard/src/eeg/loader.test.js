@@ -0,0 +1,102 @@
+import { buildDataset, createDatasetAccumulator, rebandDataset, validateColumns, missingColumns } from './loader';
+import { BAND_PRESETS, makeBand } from './bands';
+
+const spectrumCols = {
+  f: '[2 4 8 16]',
+  psd_mean: '[8 4 2 1]',
+  fitted: '[8 4 2 1]',
+  detrended: '[1 1 1 1]',
+};
+
+const res = (data) => ({ data, meta: { fields: Object.keys(data[0]) } });
+
+test('groups trials by subject, sorted by trial number, with ratio stats', () => {
+  const { subjects, stats, spectrumErrors } = buildDataset(
+    res([
+      { subject_number: 'sub-02', trial_number: 0, Alpha: 2, Beta: 1, Theta: 1, Delta: 1, ...spectrumCols },
+      { subject_number: 'sub-01', trial_number: 1, Alpha: 4, Beta: 1, Theta: 2, Delta: 2, ...spectrumCols },
+      { subject_number: 'sub-01', trial_number: 0, Alpha: 1, Beta: 1, Theta: 3, Delta: 0.05, ...spectrumCols },
+      { subject_number: null, trial_number: 2, Alpha: 1, Beta: 1, Theta: 1, Delta: 1, ...spectrumCols },
+    ])
+  );
+
+  expect(subjects.map((g) => g.map((r) => `${r.subject}/${r.t}`))).toEqual([
+    ['sub-02/0'],
+    ['sub-01/0', 'sub-01/1'],
+  ]);
+  expect(subjects[1][0].ADR).toBeCloseTo(10); // delta floored at 0.1
+  expect(stats.adrMax).toBeCloseTo(10);
+  expect(stats.tarMax).toBeCloseTo(3);
+  expect(subjects[0][0].slope).toBeCloseTo(-1);
+  expect(spectrumErrors).toEqual([]);
+});
+
+test('validateColumns names every missing required column', () => {
+  expect(() => validateColumns(['subject_number', 'trial_number', 'Alpha', 'Beta', 'Theta', 'Delta', 'ADR'])).not.toThrow();
+  expect(() => validateColumns(['subject_number', 'Alpha', 'Beta'])).toThrow(
+    'Missing required columns: trial_number, Theta, Delta'
+  );
+  expect(missingColumns(undefined)).toHaveLength(6);
+});
+
+test('createDatasetAccumulator matches buildDataset when fed in chunks', () => {
+  const rows = Array.from({ length: 30 }, (_, k) => ({
+    subject_number: `sub-0${k % 3}`,
+    trial_number: 29 - k,
+    Alpha: 1 + (k % 7),
+    Beta: 1,
+    Theta: 1 + (k % 5),
+    Delta: 0.5 + (k % 4),
+  }));
+  const fields = Object.keys(rows[0]);
+
+  const acc = createDatasetAccumulator(fields);
+  for (let k = 0; k < rows.length; k += 7) acc.add(rows.slice(k, k + 7));
+
+  expect(acc.count).toBe(30);
+  expect(acc.finish()).toEqual(buildDataset({ data: rows, meta: { fields } }));
+});
+
+test('createDatasetAccumulator collapses long-format channel rows split across chunks', () => {
+  const fields = ['subject_number', 'trial_number', 'channel', 'Alpha', 'Beta', 'Theta', 'Delta'];
+  const acc = createDatasetAccumulator(fields);
+  acc.add([{ subject_number: 's', trial_number: 0, channel: 'C3', Alpha: 2, Beta: 1, Theta: 1, Delta: 1 }]);
+  acc.add([{ subject_number: 's', trial_number: 0, channel: 'C4', Alpha: 4, Beta: 1, Theta: 1, Delta: 1 }]);
+
+  const [[trial]] = acc.finish().subjects;
+  expect(trial.alpha).toBe(3);
+  expect(Object.keys(trial.bsiResult.pairs)).toHaveLength(1);
+});
+
+test('rebandDataset re-reads bands under a new configuration', () => {
+  const dataset = buildDataset(
+    res([{ subject_number: 's', trial_number: 0, Alpha: 4, Beta: 1, Theta: 2, Delta: 2, ...spectrumCols }])
+  );
+  expect(dataset.subjects[0][0]).toMatchObject({ alpha: 4, ADR: 2, TAR: 0.5, DAR: 0.5 });
+
+  const extended = rebandDataset(dataset, BAND_PRESETS.extended.bands);
+  const [[trial]] = extended.subjects;
+  expect(trial.alpha).toBe(4); // still the CSV column
+  expect(trial.gamma).toBeNaN(); // 30-45 Hz lies outside f = 2..16
+  expect(trial.beta).toBeUndefined();
+  expect(trial.TBR).toBeUndefined(); // no plain "beta" band any more
+
+  const slow = rebandDataset(dataset, [makeBand('Alpha', 8, 12), makeBand('Slow', 2, 8)]);
+  expect(slow.subjects[0][0].slow).toBe(1); // mean detrended at 2 and 4 Hz; 8 is the open edge
+  expect(extended.stats).toHaveProperty('high_betaMax');
+});
+
+test('rebandDataset adds user-defined ratios and their stats', () => {
+  const dataset = buildDataset(
+    res([
+      { subject_number: 's', trial_number: 0, Alpha: 4, Beta: 1, Theta: 2, Delta: 2, ...spectrumCols },
+      { subject_number: 's', trial_number: 1, Alpha: 2, Beta: 3, Theta: 2, Delta: 2, ...spectrumCols },
+    ])
+  );
+  const custom = { key: 'custom_bar', label: 'BAR', expression: 'beta / alpha', floor: 0.1, custom: true };
+  const next = rebandDataset(dataset, dataset.bands, [...dataset.ratios, custom]);
+
+  expect(next.subjects[0].map((t) => t.custom_bar)).toEqual([0.25, 1.5]);
+  expect(next.stats).toMatchObject({ custom_barMin: 0, custom_barMax: 1.5, adrMax: 2 });
+  expect(next.ratios.map((r) => r.key)).toContain('custom_bar');
+});
@@ -0,0 +1,141 @@
+import { computeSeverity, DEFAULT_SEVERITY_MODEL } from "./severity";
+
+// ---------- Normative reference ----------
+// A reference is per-metric statistics over a baseline set of trials (chosen
+// subjects, or a whole reference file). Values are then shown as a z-score
+// or as the percentile they fall at within the reference trials.
+
+export const NORM_MODES = {
+  raw: "Raw values",
+  z: "z-score vs. reference",
+  percentile: "Percentile vs. reference",
+};
+
+// |z| cut-offs for "borderline" and "atypical", and the percentiles they
+// correspond to under a normal distribution (rounded).
+export const Z_CUTOFFS = [1, 2];
+export const PERCENTILE_CUTOFFS = [2.5, 16, 84, 97.5];
+
+// Bands, ratios and severity: everything the dashboard can normalize.
+export function normMetrics(bands, ratios) {
+  return [
+    ...bands.map((b) => ({ key: b.key, label: b.name, kind: "band" })),
+    ...ratios.map((r) => ({ key: r.key, label: r.label, kind: "ratio" })),
+    { key: "severity", label: "Severity", kind: "severity" },
+  ];
+}
+
+export const metricValue = (trial, key, severityModel = DEFAULT_SEVERITY_MODEL) =>
+  key === "severity" ? computeSeverity(trial, severityModel) : Number(trial?.[key]);
+
+// Linear interpolation between order statistics (numpy's default).
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// { n, mean, sd, sorted, p5, p25, p50, p75, p95 } over the finite values.
+export function describe(values) {
+  const sorted = Float64Array.from(values.filter(Number.isFinite)).sort();
+  const n = sorted.length;
+  let mean = 0;
+  for (let k = 0; k < n; k++) mean += sorted[k];
+  mean = n ? mean / n : NaN;
+  let ss = 0;
+  for (let k = 0; k < n; k++) ss += (sorted[k] - mean) ** 2;
+  const sd = n > 1 ? Math.sqrt(ss / (n - 1)) : NaN;
+
+  return {
+    n,
+    mean,
+    sd,
+    sorted,
+    p5: quantile(sorted, 0.05),
+    p25: quantile(sorted, 0.25),
+    p50: quantile(sorted, 0.5),
+    p75: quantile(sorted, 0.75),
+    p95: quantile(sorted, 0.95),
+  };
+}
+
+// `subjects` are per-subject trial arrays (the baseline). Returns
+// { subjects, trials, metrics: { [key]: describe(...) } }.
+export function buildReference(subjects, metrics, { severityModel = DEFAULT_SEVERITY_MODEL } = {}) {
+  const trials = subjects.flat();
+  const out = {};
+  metrics.forEach(({ key }) => {
+    out[key] = describe(trials.map((t) => metricValue(t, key, severityModel)));
+  });
+  return { subjects: subjects.length, trials: trials.length, metrics: out };
+}
+
+export const zScore = (value, ref) => (ref && ref.sd > 0 ? (value - ref.mean) / ref.sd : NaN);
+
+// Mid-rank percentile (0..100) of `value` among the reference values.
+export function percentileOf(value, ref) {
+  const s = ref?.sorted;
+  if (!s || s.length === 0 || !Number.isFinite(value)) return NaN;
+  const bound = (strict) => {
+    let lo = 0;
+    let hi = s.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (strict ? s[mid] < value : s[mid] <= value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const below = bound(true);
+  const equal = bound(false) - below;
+  return ((below + equal / 2) / s.length) * 100;
+}
+
+export function normalize(value, ref, mode) {
+  if (mode === "z") return zScore(value, ref);
+  if (mode === "percentile") return percentileOf(value, ref);
+  return value;
+}
+
+// "typical" | "borderline" | "atypical" (null when the value is not finite).
+export function normZone(value, mode) {
+  if (!Number.isFinite(value)) return null;
+  if (mode === "percentile") {
+    const [lo2, lo1, hi1, hi2] = PERCENTILE_CUTOFFS;
+    if (value < lo2 || value > hi2) return "atypical";
+    return value < lo1 || value > hi1 ? "borderline" : "typical";
+  }
+  const a = Math.abs(value);
+  return a > Z_CUTOFFS[1] ? "atypical" : a > Z_CUTOFFS[0] ? "borderline" : "typical";
+}
+
+export const NORM_ZONE_COLORS = { typical: "#2E7D32", borderline: "#FBC02D", atypical: "#D32F2F" };
+
+// RatioGauge props for a normalized value: symmetric zones, atypical at both ends.
+const SYMMETRIC = {
+  zoneColors: [NORM_ZONE_COLORS.atypical, NORM_ZONE_COLORS.borderline, NORM_ZONE_COLORS.typical, NORM_ZONE_COLORS.borderline, NORM_ZONE_COLORS.atypical],
+  zoneLabels: ["Low", "", "Typical", "", "High"],
+  curve: 1,
+  invertNeedle: false,
+};
+
+export const NORM_GAUGES = {
+  z: {
+    ...SYMMETRIC,
+    min: -3,
+    max: 3,
+    zoneStops: [-Z_CUTOFFS[1], -Z_CUTOFFS[0], Z_CUTOFFS[0], Z_CUTOFFS[1]].map((z) => (z + 3) / 6),
+    ticks: 7,
+    tickFormat: (v) => v.toFixed(0),
+  },
+  percentile: {
+    ...SYMMETRIC,
+    min: 0,
+    max: 100,
+    zoneStops: PERCENTILE_CUTOFFS.map((p) => p / 100),
+    ticks: 5,
+    tickFormat: (v) => v.toFixed(0),
+  },
+};
@@ -0,0 +1,45 @@
+import { describe as summarize, quantile, buildReference, zScore, percentileOf, normalize, normZone, normMetrics, NORM_GAUGES } from './normative';
+import { DEFAULT_BANDS_CONFIG } from './bands';
+import { availableRatios } from './ratios';
+
+test('summarizes finite values with sample SD and interpolated percentiles', () => {
+  const d = summarize([4, 1, 3, NaN, 2, 5]);
+  expect(d.n).toBe(5);
+  expect(d.mean).toBe(3);
+  expect(d.sd).toBeCloseTo(Math.sqrt(2.5));
+  expect(Array.from(d.sorted)).toEqual([1, 2, 3, 4, 5]);
+  expect(d.p50).toBe(3);
+  expect(d.p25).toBe(2);
+  expect(quantile(d.sorted, 0.05)).toBeCloseTo(1.2);
+  expect(summarize([]).mean).toBeNaN();
+});
+
+test('z-scores and mid-rank percentiles against a reference', () => {
+  const ref = summarize([1, 2, 3, 4, 5]);
+  expect(zScore(3 + Math.sqrt(2.5), ref)).toBeCloseTo(1);
+  expect(percentileOf(3, ref)).toBe(50);
+  expect(percentileOf(0, ref)).toBe(0);
+  expect(percentileOf(9, ref)).toBe(100);
+  expect(percentileOf(2.5, ref)).toBe(40);
+  expect(normalize(7, ref, 'raw')).toBe(7);
+  expect(zScore(1, summarize([2]))).toBeNaN(); // no spread, no z
+});
+
+test('zones are symmetric in both modes', () => {
+  expect([0.5, -1.5, 2.5].map((z) => normZone(z, 'z'))).toEqual(['typical', 'borderline', 'atypical']);
+  expect([50, 10, 99].map((p) => normZone(p, 'percentile'))).toEqual(['typical', 'borderline', 'atypical']);
+  expect(normZone(NaN, 'z')).toBeNull();
+  expect(NORM_GAUGES.z.zoneStops.map((s) => s * 6 - 3)).toEqual([-2, -1, 1, 2]);
+});
+
+test('builds per-metric reference stats including severity', () => {
+  const metrics = normMetrics(DEFAULT_BANDS_CONFIG, availableRatios(DEFAULT_BANDS_CONFIG));
+  expect(metrics.map((m) => m.key)).toEqual(['alpha', 'beta', 'theta', 'delta', 'ADR', 'TAR', 'DAR', 'TBR', 'DTABR', 'severity']);
+
+  const trial = (alpha, ADR) => ({ alpha, beta: 1, theta: 1, delta: 1, ADR });
+  const ref = buildReference([[trial(8, 8), trial(10, 10)], [trial(12, 12)]], metrics);
+  expect(ref).toMatchObject({ subjects: 2, trials: 3 });
+  expect(ref.metrics.alpha).toMatchObject({ n: 3, mean: 10, sd: 2 });
+  expect(ref.metrics.severity.n).toBe(3);
+  expect(ref.metrics.TAR.n).toBe(0); // not on these trials
+});
@@ -0,0 +1,64 @@
+import { streamCsv } from "./csv";
+import { createDatasetAccumulator, missingColumns, validateColumns } from "./loader";
+import { mapRows, mapFields } from "./columnMapping";
+import { parseEDF, edfToRows, edfSubject } from "./edf";
+
+const PREVIEW_ROWS = 5;
+
+// .rec is the pre-EDF+ extension some older systems still write
+const isEdfFile = (source) => typeof source?.name === "string" && /\.(edf|rec)$/i.test(source.name);
+
+// Raw EDF recording -> CSV-shaped trials (see edf.js), one subject per file.
+async function parseEdfDataset(file, { edf, onProgress }) {
+  const parsed = parseEDF(await file.arrayBuffer());
+  const res = edfToRows(parsed, {
+    ...edf,
+    subject: edfSubject(parsed.header, file.name.replace(/\.[^.]+$/, "")),
+    onProgress: onProgress && ((fraction) => onProgress({ fraction, rows: null })),
+  });
+
+  const acc = createDatasetAccumulator(res.meta.fields);
+  acc.add(res.data);
+  return { status: "done", dataset: acc.finish() };
+}
+
+// ---------- CSV -> dataset pipeline ----------
+// Streams `source` chunk by chunk through the column mapping and the dataset
+// accumulator, so only mapped trials (not raw rows) are held in memory.
+// Resolves `{ status: "done", dataset }`, or `{ status: "needsMapping",
+// fields, preview }` when headers don't match and no `mapping` was given.
+// EDF/EDF+ files (by extension) skip the CSV path and are analysed with `edf`
+// options. Runs inside dataset.worker.js, or on the main thread where workers
+// aren't available.
+export async function parseDataset(source, { mapping, edf, onProgress } = {}) {
+  if (isEdfFile(source)) return parseEdfDataset(source, { edf, onProgress });
+
+  let acc = null;
+  let needsMapping = null;
+
+  await streamCsv(source, {
+    onFields: (fields) => {
+      const mapped = mapFields(fields, mapping);
+      if (!mapping && missingColumns(mapped).length > 0) {
+        needsMapping = { fields, preview: [] };
+        return true; // keep going for one chunk of preview rows
+      }
+      validateColumns(mapped);
+      acc = createDatasetAccumulator(mapped);
+      return true;
+    },
+    onRows: (rows) => {
+      if (needsMapping) {
+        needsMapping.preview = rows.slice(0, PREVIEW_ROWS);
+        return false;
+      }
+      acc.add(mapping ? mapRows(rows, mapping) : rows);
+      return true;
+    },
+    onProgress,
+  });
+
+  if (needsMapping) return { status: "needsMapping", ...needsMapping };
+  if (!acc) throw new Error("File has no header row");
+  return { status: "done", dataset: acc.finish() };
+}
@@ -0,0 +1,59 @@
+import { parseDataset } from './parseDataset';
+import parseDatasetAsync from './parseDatasetAsync';
+
+jest.mock('./createDatasetWorker', () => () => {
+  throw new Error('no workers in jsdom');
+});
+
+const csv = (lines) => `${lines.join('\n')}\n`;
+
+const STANDARD = csv([
+  'subject_number,trial_number,Alpha,Beta,Theta,Delta',
+  'sub-01,1,4,1,2,2',
+  'sub-01,0,1,1,3,0.05',
+  'sub-02,0,2,1,1,1',
+]);
+
+const FOREIGN = csv(['subject,epoch,alpha_power,beta_power,theta_power,delta_power', 's1,0,4,1,2,2', 's1,1,2,1,1,1']);
+
+test('streams a matching CSV into grouped subjects and stats', async () => {
+  const progress = [];
+  const result = await parseDataset(STANDARD, { onProgress: (p) => progress.push(p) });
+
+  expect(result.status).toBe('done');
+  expect(result.dataset.subjects.map((g) => g.map((r) => `${r.subject}/${r.t}`))).toEqual([
+    ['sub-01/0', 'sub-01/1'],
+    ['sub-02/0'],
+  ]);
+  expect(result.dataset.stats.adrMax).toBeCloseTo(10);
+  expect(progress[progress.length - 1]).toEqual({ fraction: 1, rows: 3 });
+});
+
+test('stops with a preview when headers need mapping, then applies one', async () => {
+  const pending = await parseDataset(FOREIGN);
+  expect(pending.status).toBe('needsMapping');
+  expect(pending.fields).toContain('alpha_power');
+  expect(pending.preview).toHaveLength(2);
+
+  const mapping = {
+    subject_number: 'subject',
+    trial_number: 'epoch',
+    Alpha: 'alpha_power',
+    Beta: 'beta_power',
+    Theta: 'theta_power',
+    Delta: 'delta_power',
+  };
+  const { dataset } = await parseDataset(FOREIGN, { mapping });
+  expect(dataset.subjects[0].map((r) => r.ADR)).toEqual([2, 2]);
+});
+
+test('rejects when a mapping still leaves required columns missing', async () => {
+  await expect(parseDataset(FOREIGN, { mapping: { subject_number: 'subject' } })).rejects.toThrow(
+    'Missing required columns: trial_number, Alpha, Beta, Theta, Delta'
+  );
+});
+
+test('parseDatasetAsync falls back to the main thread when no worker can start', async () => {
+  const result = await parseDatasetAsync(STANDARD);
+  expect(result.dataset.subjects).toHaveLength(2);
+});
@@ -0,0 +1,57 @@
+import { parseDataset } from "./parseDataset";
+import createDatasetWorker from "./createDatasetWorker";
+
+let worker;
+let nextRequest = 1;
+const requests = new Map();
+
+function failAll(message) {
+  requests.forEach(({ reject }) => reject(new Error(message)));
+  requests.clear();
+}
+
+// One shared worker, created on first use; null when workers aren't available.
+function getWorker() {
+  if (worker !== undefined) return worker;
+  try {
+    worker = createDatasetWorker();
+  } catch {
+    worker = null;
+    return worker;
+  }
+
+  worker.onmessage = ({ data }) => {
+    const req = requests.get(data.id);
+    if (!req) return;
+    if (data.type === "progress") {
+      if (req.onProgress) req.onProgress({ fraction: data.fraction, rows: data.rows });
+      return;
+    }
+    requests.delete(data.id);
+    if (data.type === "result") req.resolve(data.result);
+    else req.reject(new Error(data.message));
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    failAll(`Dataset worker failed: ${e.message || "unknown error"}`);
+  };
+
+  return worker;
+}
+
+// ---------- parseDataset in a Web Worker ----------
+// Same contract as parseDataset; falls back to the main thread when no
+// Worker is available. URLs are resolved here because a worker resolves
+// relative paths against its own script URL.
+export default function parseDatasetAsync(source, { mapping, edf, onProgress } = {}) {
+  const w = typeof Worker !== "undefined" ? getWorker() : null;
+  if (!w) return parseDataset(source, { mapping, edf, onProgress });
+
+  const resolved = typeof source === "string" && !source.includes("\n") ? new URL(source, window.location.href).href : source;
+  const id = nextRequest++;
+
+  return new Promise((resolve, reject) => {
+    requests.set(id, { resolve, reject, onProgress });
+    w.postMessage({ id, source: resolved, mapping, edf });
+  });
+}
@@ -0,0 +1,107 @@
+// ---------- Ratio expressions ----------
+// Arithmetic over band keys, parsed by hand (never eval'd):
+//   expr   = term (("+" | "-") term)*
+//   term   = factor (("*" | "/") factor)*
+//   factor = "-" factor | number | band | "(" expr ")"
+// Band names are case-insensitive ("Alpha" and "alpha" are the same band).
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(.))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let m;
+  while (TOKEN.lastIndex < text.length && (m = TOKEN.exec(text))) {
+    const at = m.index + m[0].length - (m[1] || m[2] || m[3] || "").length;
+    if (m[1]) tokens.push({ type: "num", value: Number(m[1]), at });
+    else if (m[2]) tokens.push({ type: "name", value: m[2], at });
+    else if (m[3] && "+-*/()".includes(m[3])) tokens.push({ type: "op", value: m[3], at });
+    else if (m[3]) throw new Error(`Unexpected "${m[3]}" at position ${at + 1}`);
+  }
+  return tokens;
+}
+
+// Expression text -> AST. `bandKeys` (optional) restricts which names are
+// allowed; names are lower-cased to match band keys.
+export function parseRatioExpression(text, bandKeys) {
+  const src = String(text ?? "");
+  const tokens = tokenize(src);
+  if (tokens.length === 0) throw new Error("Expression is empty");
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const where = () => (peek() ? `position ${peek().at + 1}` : "end of expression");
+  const isOp = (v) => peek()?.type === "op" && peek().value === v;
+
+  const factor = () => {
+    const tok = peek();
+    if (!tok) throw new Error("Expression ends too early");
+    if (isOp("-")) {
+      pos += 1;
+      return { type: "neg", arg: factor() };
+    }
+    if (isOp("(")) {
+      pos += 1;
+      const inner = expr();
+      if (!isOp(")")) throw new Error(`Missing ")" at ${where()}`);
+      pos += 1;
+      return inner;
+    }
+    pos += 1;
+    if (tok.type === "num") return { type: "num", value: tok.value };
+    if (tok.type === "name") {
+      const name = tok.value.toLowerCase();
+      if (bandKeys && !bandKeys.includes(name)) throw new Error(`Unknown band "${tok.value}"`);
+      return { type: "band", name };
+    }
+    throw new Error(`Unexpected "${tok.value}" at position ${tok.at + 1}`);
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (peek()?.type === "op" && ops.includes(peek().value)) {
+      const op = tokens[pos++].value;
+      left = { type: "bin", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const term = binary(factor, "*/");
+  const expr = binary(term, "+-");
+
+  const ast = expr();
+  if (pos < tokens.length) throw new Error(`Unexpected "${peek().value}" at position ${peek().at + 1}`);
+  return ast;
+}
+
+// Band keys an AST reads, in first-use order.
+export function expressionBands(ast, out = []) {
+  if (ast.type === "band" && !out.includes(ast.name)) out.push(ast.name);
+  if (ast.arg) expressionBands(ast.arg, out);
+  if (ast.left) expressionBands(ast.left, out);
+  if (ast.right) expressionBands(ast.right, out);
+  return out;
+}
+
+// AST -> (values) => number. Every division floors its denominator at
+// `floor` so a near-silent band can't send the ratio to infinity.
+export function compileExpression(ast, { floor = 0 } = {}) {
+  switch (ast.type) {
+    case "num":
+      return () => ast.value;
+    case "band":
+      return (values) => Number(values?.[ast.name]);
+    case "neg": {
+      const arg = compileExpression(ast.arg, { floor });
+      return (values) => -arg(values);
+    }
+    default: {
+      const left = compileExpression(ast.left, { floor });
+      const right = compileExpression(ast.right, { floor });
+      if (ast.op === "+") return (v) => left(v) + right(v);
+      if (ast.op === "-") return (v) => left(v) - right(v);
+      if (ast.op === "*") return (v) => left(v) * right(v);
+      return floor > 0 ? (v) => left(v) / Math.max(right(v), floor) : (v) => left(v) / right(v);
+    }
+  }
+}
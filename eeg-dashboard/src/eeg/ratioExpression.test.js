@@ -0,0 +1,33 @@
+import { parseRatioExpression, expressionBands, compileExpression } from './ratioExpression';
+
+const evaluate = (text, values, options) => compileExpression(parseRatioExpression(text), options)(values);
+
+test('parses with the usual precedence and parentheses', () => {
+  const values = { alpha: 2, beta: 4, theta: 3, delta: 1 };
+  expect(evaluate('delta + theta * 2', values)).toBe(7);
+  expect(evaluate('(Delta + Theta) / (Alpha + Beta)', values)).toBeCloseTo(4 / 6);
+  expect(evaluate('beta / alpha / 2', values)).toBe(1);
+  expect(evaluate('-alpha + 0.5', values)).toBe(-1.5);
+});
+
+test('floors every denominator', () => {
+  const values = { alpha: 2, delta: 0.01, theta: 0 };
+  expect(evaluate('alpha / delta', values, { floor: 0.1 })).toBeCloseTo(20);
+  expect(evaluate('alpha / (delta + theta)', values, { floor: 0.5 })).toBeCloseTo(4);
+  expect(evaluate('alpha / delta', values)).toBeCloseTo(200);
+});
+
+test('lists the bands an expression reads', () => {
+  expect(expressionBands(parseRatioExpression('(delta + theta) / (alpha + Delta)'))).toEqual(['delta', 'theta', 'alpha']);
+});
+
+test('rejects anything outside the grammar', () => {
+  const keys = ['alpha', 'beta', 'theta', 'delta'];
+  expect(() => parseRatioExpression('', keys)).toThrow('empty');
+  expect(() => parseRatioExpression('alpha / gamma', keys)).toThrow('Unknown band "gamma"');
+  expect(() => parseRatioExpression('(alpha / beta', keys)).toThrow('Missing ")"');
+  expect(() => parseRatioExpression('alpha /', keys)).toThrow('ends too early');
+  expect(() => parseRatioExpression('alpha beta', keys)).toThrow('Unexpected "beta"');
+  expect(() => parseRatioExpression('alpha; alert(1)', keys)).toThrow('Unexpected ";" at position 6');
+  expect(() => parseRatioExpression('alpha ** 2', keys)).toThrow('Unexpected "*"');
+});
@@ -0,0 +1,120 @@
+import { parseRatioExpression, expressionBands, compileExpression } from "./ratioExpression";
+
+// ---------- Band ratios ----------
+// A ratio is an arithmetic expression over band keys (see ratioExpression.js)
+// whose denominators are floored at `floor`, which keeps near-zero bands from
+// blowing the gauge up. Only ratios whose bands are all configured are built
+// (see availableRatios). `range` ("global" / "subject") overrides the
+// layout's gauge range for that ratio.
+
+export const BUILTIN_RATIOS = [
+  { key: "ADR", label: "ADR (Alpha/Delta)", expression: "alpha / delta", floor: 0.1, invertNeedle: true },
+  { key: "TAR", label: "TAR (Theta/Alpha)", expression: "theta / alpha", floor: 0.1 },
+  { key: "DAR", label: "DAR (Delta/Alpha)", expression: "delta / alpha", floor: 0.1 },
+  { key: "TBR", label: "TBR (Theta/Beta)", expression: "theta / beta", floor: 0.1 },
+  {
+    key: "DTABR",
+    label: "(Delta+Theta)/(Alpha+Beta)",
+    expression: "(delta + theta) / (alpha + beta)",
+    floor: 0.1,
+    invertNeedle: true,
+  },
+];
+
+// parsed once per expression + floor
+const compiled = new Map();
+
+export function compileRatio({ expression, floor = 0 }) {
+  const id = `${expression}|${floor}`;
+  if (!compiled.has(id)) {
+    const ast = parseRatioExpression(expression);
+    compiled.set(id, { bands: expressionBands(ast), evaluate: compileExpression(ast, { floor }) });
+  }
+  return compiled.get(id);
+}
+
+export const computeRatio = (values, ratio) => compileRatio(ratio).evaluate(values);
+
+export const ratioBands = (ratio) => compileRatio(ratio).bands;
+
+export function availableRatios(bands, ratios = BUILTIN_RATIOS) {
+  const keys = new Set(bands.map((b) => b.key));
+  return ratios.filter((r) => ratioBands(r).every((k) => keys.has(k)));
+}
+
+// { [ratio.key]: value } for every ratio in `ratios`. A ratio with a
+// `column` reads that source column from `columns` instead, falling back to
+// the expression when the row has no finite value there.
+export function computeRatios(values, ratios, columns) {
+  const out = {};
+  ratios.forEach((r) => {
+    const source = r.column != null ? Number(columns?.[r.column]) : NaN;
+    out[r.key] = Number.isFinite(source) ? source : computeRatio(values, r);
+  });
+  return out;
+}
+
+// stats key prefix, e.g. "ADR" -> "adr" (adrMin / adrMax)
+export const statPrefix = (key) => key.toLowerCase();
+
+// True when both lists produce the same values under the same keys.
+export function sameRatios(a, b) {
+  if (a === b) return true;
+  if (!a || !b || a.length !== b.length) return false;
+  return a.every(
+    (r, k) => r.key === b[k].key && r.expression === b[k].expression && r.floor === b[k].floor && r.column === b[k].column
+  );
+}
+
+// ---------- User-defined ratios ----------
+// Keys get a "custom_" prefix so they can't collide with band keys or trial
+// fields; the name the user typed is kept as the gauge title.
+export const RATIO_RANGES = ["global", "subject"];
+
+const customKey = (name) => `custom_${String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")}`;
+
+// Form values -> ratio definition; throws with a message for the editor.
+// `bands` are the configured bands, `existing` the ratios already defined.
+export function makeCustomRatio({ name, expression, floor = 0.1, range, invertNeedle = false }, bands, existing = []) {
+  const label = String(name || "").trim();
+  if (!label) throw new Error("Ratio name is required");
+  const key = customKey(label);
+  if (key === "custom_") throw new Error("Ratio name needs a letter or digit");
+  if (existing.some((r) => r.key === key || r.label === label)) throw new Error(`A ratio named "${label}" already exists`);
+
+  const text = String(expression || "").trim();
+  const ast = parseRatioExpression(text, bands.map((b) => b.key));
+  if (expressionBands(ast).length === 0) throw new Error("Expression must use at least one band");
+
+  const f = Number(floor);
+  if (!(Number.isFinite(f) && f >= 0)) throw new Error("Denominator floor must be a number >= 0");
+  if (range && !RATIO_RANGES.includes(range)) throw new Error(`Unknown range "${range}"`);
+
+  return { key, label, expression: text, floor: f, ...(range ? { range } : null), invertNeedle: Boolean(invertNeedle), custom: true };
+}
+
+const CUSTOM_RATIOS_KEY = "eeg-dashboard.customRatios";
+
+const parses = (ratio) => {
+  try {
+    compileRatio(ratio);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Saved ratios, minus any entry that no longer parses.
+export function loadCustomRatios() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(CUSTOM_RATIOS_KEY) || "[]");
+    return Array.isArray(raw) ? raw.filter((r) => r && r.custom && r.key && typeof r.expression === "string" && parses(r)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomRatios(ratios) {
+  window.localStorage.setItem(CUSTOM_RATIOS_KEY, JSON.stringify(ratios));
+  return ratios;
+}
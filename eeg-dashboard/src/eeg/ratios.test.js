@@ -0,0 +1,54 @@
+import {
+  computeRatio,
+  computeRatios,
+  availableRatios,
+  sameRatios,
+  makeCustomRatio,
+  loadCustomRatios,
+  saveCustomRatios,
+  BUILTIN_RATIOS,
+} from './ratios';
+import { BAND_PRESETS, DEFAULT_BANDS_CONFIG, makeBand } from './bands';
+
+test('computeRatio sums bands and floors the denominator', () => {
+  const values = { alpha: 2, beta: 1, theta: 3, delta: 0.05 };
+  const [ADR, , , , DTABR] = BUILTIN_RATIOS;
+  expect(computeRatio(values, ADR)).toBeCloseTo(20);
+  expect(computeRatio(values, DTABR)).toBeCloseTo(3.05 / 3);
+  expect(computeRatios(values, [ADR])).toEqual({ ADR: expect.closeTo(20) });
+});
+
+test('availableRatios only offers ratios whose bands are configured', () => {
+  expect(availableRatios(BAND_PRESETS.classic.bands).map((r) => r.key)).toEqual(['ADR', 'TAR', 'DAR', 'TBR', 'DTABR']);
+  expect(availableRatios(BAND_PRESETS.extended.bands).map((r) => r.key)).toEqual(['ADR', 'TAR', 'DAR']);
+  expect(availableRatios([makeBand('Alpha', 8, 12)])).toEqual([]);
+});
+
+test('makeCustomRatio validates the form and namespaces the key', () => {
+  const ratio = makeCustomRatio({ name: 'Beta/Alpha', expression: ' beta / Alpha ', floor: '0.2', range: 'subject' }, DEFAULT_BANDS_CONFIG);
+  expect(ratio).toEqual({
+    key: 'custom_beta_alpha',
+    label: 'Beta/Alpha',
+    expression: 'beta / Alpha',
+    floor: 0.2,
+    range: 'subject',
+    invertNeedle: false,
+    custom: true,
+  });
+  expect(computeRatio({ alpha: 0.1, beta: 1 }, ratio)).toBeCloseTo(5);
+
+  expect(() => makeCustomRatio({ name: '', expression: 'alpha' }, DEFAULT_BANDS_CONFIG)).toThrow('name is required');
+  expect(() => makeCustomRatio({ name: 'X', expression: 'alpha / gamma' }, DEFAULT_BANDS_CONFIG)).toThrow('Unknown band');
+  expect(() => makeCustomRatio({ name: 'X', expression: '2 / 3' }, DEFAULT_BANDS_CONFIG)).toThrow('at least one band');
+  expect(() => makeCustomRatio({ name: 'X', expression: 'alpha', floor: -1 }, DEFAULT_BANDS_CONFIG)).toThrow('floor');
+  expect(() => makeCustomRatio({ name: 'beta alpha', expression: 'alpha' }, DEFAULT_BANDS_CONFIG, [ratio])).toThrow('already exists');
+});
+
+test('custom ratios round-trip through localStorage and skip broken entries', () => {
+  const ratio = makeCustomRatio({ name: 'Slow/Fast', expression: '(delta + theta) / (alpha + beta)' }, DEFAULT_BANDS_CONFIG);
+  saveCustomRatios([ratio, { ...ratio, key: 'custom_bad', expression: 'alpha +' }]);
+  expect(loadCustomRatios()).toEqual([ratio]);
+  expect(sameRatios([...BUILTIN_RATIOS, ratio], [...BUILTIN_RATIOS, { ...ratio }])).toBe(true);
+  expect(sameRatios([ratio], [{ ...ratio, floor: 0.5 }])).toBe(false);
+  window.localStorage.clear();
+});
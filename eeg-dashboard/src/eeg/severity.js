@@ -0,0 +1,124 @@
+import { clamp } from "./helpers";
+
+// ---------- Severity model registry ----------
+// A model is { id, label, description, inputs, params, score, explain }:
+//   inputs   band/metric keys read from the frame values (missing -> 0)
+//   params   default parameters; callers may override any of them
+//   score    (inputs, params) -> severity in 0..1
+//   explain  optional (inputs, params) -> [{ key, label, value }] whose values
+//            sum to the unclamped score; when given, `score` defaults to
+//            that sum
+const registry = new Map();
+
+export const DEFAULT_SEVERITY_MODEL = "stroke-bands";
+
+export function registerSeverityModel(model) {
+  if (!model || typeof model.id !== "string" || !model.id) {
+    throw new Error("severity model needs a string id");
+  }
+  if (typeof model.score !== "function" && typeof model.explain !== "function") {
+    throw new Error(`severity model "${model.id}" needs a score function`);
+  }
+  registry.set(model.id, {
+    label: model.id,
+    description: "",
+    inputs: [],
+    params: {},
+    score: (inputs, params) => sumTerms(model.explain(inputs, params)),
+    ...model,
+  });
+  return model.id;
+}
+
+const sumTerms = (terms) => terms.reduce((a, t) => a + t.value, 0);
+
+const readInputs = (model, values) => {
+  const inputs = {};
+  model.inputs.forEach((key) => {
+    inputs[key] = Number(values?.[key]) || 0;
+  });
+  return inputs;
+};
+
+export const listSeverityModels = () => [...registry.values()];
+
+export const getSeverityModel = (id) => registry.get(id) || registry.get(DEFAULT_SEVERITY_MODEL);
+
+export function computeSeverity(values, modelId = DEFAULT_SEVERITY_MODEL, params) {
+  const model = getSeverityModel(modelId);
+  const score = model.score(readInputs(model, values), { ...model.params, ...params });
+  return clamp(Number(score) || 0, 0, 1);
+}
+
+// Per-term breakdown of a score: { severity, total, contributions }. `total`
+// is the unclamped sum; models without `explain` report a single term.
+export function explainSeverity(values, modelId = DEFAULT_SEVERITY_MODEL, params) {
+  const model = getSeverityModel(modelId);
+  const inputs = readInputs(model, values);
+  const p = { ...model.params, ...params };
+
+  const contributions = model.explain
+    ? model.explain(inputs, p).map((t) => ({ ...t, value: Number(t.value) || 0 }))
+    : [{ key: "score", label: model.label, value: Number(model.score(inputs, p)) || 0 }];
+
+  const total = sumTerms(contributions);
+  return { severity: clamp(total, 0, 1), total, contributions };
+}
+
+// ---------- Stroke severity from EEG bands (default model) ----------
+registerSeverityModel({
+  id: DEFAULT_SEVERITY_MODEL,
+  label: "Stroke bands (default)",
+  description: "Low alpha, high theta/delta, TAR/DAR, alpha-suppression bump, 1.4x boost",
+  inputs: ["alpha", "theta", "delta"],
+  params: {
+    alphaLowTH: 9,
+    thetaHighTH: 5.5,
+    deltaHighTH: 3.5,
+    weights: { alphaLow: 0.15, thetaHigh: 0.3, deltaHigh: 0.3, tar: 0.15, dar: 0.1 },
+    suppressionBump: 0.2,
+    boost: 1.4,
+  },
+  // Terms are reported after the global boost so they sum to the score.
+  explain: ({ alpha, theta, delta }, p) => {
+    // 1) Directional abnormalities
+    const alphaLow = clamp((p.alphaLowTH - alpha) / p.alphaLowTH, 0, 1);
+    const thetaHigh = clamp((theta - p.thetaHighTH) / p.thetaHighTH, 0, 1);
+    const deltaHigh = clamp((delta - p.deltaHighTH) / p.deltaHighTH, 0, 1);
+
+    // 2) Ratios
+    const safeAlpha = Math.max(alpha, 0.1);
+    const tarNorm = clamp((theta / safeAlpha - 0.4) / 1.2, 0, 1);
+    const darNorm = clamp((delta / safeAlpha - 0.2) / 1.0, 0, 1);
+
+    // 3) Extra bump when alpha is the weakest slow-ish band
+    const suppressed = alpha < theta && alpha < delta;
+
+    // 4) Weighted terms with the global boost applied
+    const w = p.weights;
+    return [
+      { key: "alphaLow", label: "Low alpha", value: w.alphaLow * alphaLow * p.boost },
+      { key: "thetaHigh", label: "High theta", value: w.thetaHigh * thetaHigh * p.boost },
+      { key: "deltaHigh", label: "High delta", value: w.deltaHigh * deltaHigh * p.boost },
+      { key: "tar", label: "TAR", value: w.tar * tarNorm * p.boost },
+      { key: "dar", label: "DAR", value: w.dar * darNorm * p.boost },
+      { key: "suppression", label: "Alpha suppression", value: suppressed ? p.suppressionBump * p.boost : 0 },
+    ];
+  },
+});
+
+// ---------- Slowing ratio (alternative) ----------
+// Logistic on (Delta + Theta) / (Alpha + Beta); 0.5 at `midpoint`.
+registerSeverityModel({
+  id: "slowing-ratio",
+  label: "Slowing ratio (DTABR)",
+  description: "(Delta + Theta) / (Alpha + Beta) through a logistic curve",
+  inputs: ["alpha", "beta", "theta", "delta"],
+  params: { midpoint: 1.5, steepness: 2.5, floor: 0.1 },
+  score: ({ alpha, beta, theta, delta }, p) => {
+    const ratio = (delta + theta) / Math.max(alpha + beta, p.floor);
+    return 1 / (1 + Math.exp(-p.steepness * (ratio - p.midpoint)));
+  },
+});
+
+export const computeStrokeSeverity = (values) => computeSeverity(values, DEFAULT_SEVERITY_MODEL);
@@ -0,0 +1,64 @@
+import {
+  computeSeverity,
+  computeStrokeSeverity,
+  explainSeverity,
+  registerSeverityModel,
+  listSeverityModels,
+  DEFAULT_SEVERITY_MODEL,
+} from './severity';
+
+test('default model keeps the original stroke formula', () => {
+  // alpha 9.69, theta 1.97, delta 1.45 (sub-01 trial 0) -> nothing abnormal
+  expect(computeStrokeSeverity({ alpha: 9.69, theta: 1.97, delta: 1.45 })).toBe(0);
+  // alpha 2, theta 8, delta 6:
+  //   alphaLow 7/9, thetaHigh 2.5/5.5, deltaHigh 2.5/3.5, TAR 4 -> 1, DAR 3 -> 1, +0.2 bump
+  const expected = Math.min(
+    1,
+    (0.15 * (7 / 9) + 0.3 * (2.5 / 5.5) + 0.3 * (2.5 / 3.5) + 0.15 + 0.1 + 0.2) * 1.4
+  );
+  expect(computeStrokeSeverity({ alpha: 2, theta: 8, delta: 6 })).toBeCloseTo(expected);
+});
+
+test('parameters can be overridden per call', () => {
+  const v = { alpha: 10, theta: 3, delta: 2 };
+  expect(computeSeverity(v)).toBe(0);
+  expect(computeSeverity(v, DEFAULT_SEVERITY_MODEL, { alphaLowTH: 16 })).toBeGreaterThan(0);
+});
+
+test('registered models are listed, fed only their inputs and clamped', () => {
+  const seen = [];
+  registerSeverityModel({
+    id: 'test-double-beta',
+    inputs: ['beta'],
+    score: (inputs) => {
+      seen.push(inputs);
+      return inputs.beta * 2;
+    },
+  });
+  expect(listSeverityModels().map((m) => m.id)).toContain('test-double-beta');
+  expect(computeSeverity({ alpha: 1, beta: 0.3 }, 'test-double-beta')).toBeCloseTo(0.6);
+  expect(computeSeverity({ beta: 5 }, 'test-double-beta')).toBe(1);
+  expect(seen[0]).toEqual({ beta: 0.3 });
+});
+
+test('unknown ids fall back to the default and bad models are rejected', () => {
+  const v = { alpha: 2, theta: 8, delta: 6 };
+  expect(computeSeverity(v, 'nope')).toBe(computeStrokeSeverity(v));
+  expect(() => registerSeverityModel({ id: 'x' })).toThrow(/score function/);
+});
+
+test('default model explains its score as boosted weighted terms', () => {
+  const v = { alpha: 4, theta: 6, delta: 3 };
+  const { severity, total, contributions } = explainSeverity(v);
+  expect(contributions.map((c) => c.key)).toEqual(['alphaLow', 'thetaHigh', 'deltaHigh', 'tar', 'dar', 'suppression']);
+  expect(contributions[0].value).toBeCloseTo(0.15 * (5 / 9) * 1.4);
+  expect(contributions[5].value).toBe(0); // alpha is not below delta
+  expect(total).toBeCloseTo(contributions.reduce((a, c) => a + c.value, 0));
+  expect(severity).toBeCloseTo(computeStrokeSeverity(v));
+});
+
+test('models without explain report a single term', () => {
+  const { contributions, severity } = explainSeverity({ alpha: 1, beta: 1, theta: 2, delta: 2 }, 'slowing-ratio');
+  expect(contributions).toHaveLength(1);
+  expect(contributions[0].value).toBeCloseTo(severity);
+});
@@ -0,0 +1,91 @@
+// ---------- Spectrum columns (numpy-printed arrays) ----------
+// feature_analysis_data.csv stores each trial's spectrum as numpy's repr,
+// e.g. "[ 1.953125  3.90625 ...\n 15.625 ...]". These helpers turn those
+// strings into Float64Arrays and check they line up with `f`.
+
+export const SPECTRUM_KEYS = ["f", "psd_mean", "fitted", "detrended"];
+
+const SPECIAL_TOKENS = {
+  nan: NaN,
+  inf: Infinity,
+  "+inf": Infinity,
+  "-inf": -Infinity,
+};
+
+// Already-numeric arrays (e.g. spectra computed from EDF) pass straight through.
+export function parseNumpyArray(text) {
+  if (text == null || text === "") throw new Error("missing value");
+  if (Array.isArray(text) || ArrayBuffer.isView(text)) return Float64Array.from(text);
+
+  const s = String(text).trim();
+  if (!s.startsWith("[") || !s.endsWith("]")) {
+    throw new Error("expected a bracketed array");
+  }
+
+  const body = s.slice(1, -1).trim();
+  if (body === "") return new Float64Array(0);
+
+  const tokens = body.split(/[\s,]+/).filter(Boolean);
+  const out = new Float64Array(tokens.length);
+
+  tokens.forEach((tok, k) => {
+    const special = SPECIAL_TOKENS[tok.toLowerCase()];
+    const v = special !== undefined ? special : Number(tok);
+    if (Number.isNaN(v) && special === undefined) {
+      throw new Error(`invalid number "${tok}" at position ${k}`);
+    }
+    out[k] = v;
+  });
+
+  return out;
+}
+
+// Returns { spectrum, error } for one CSV row. `spectrum` is null when any
+// column is missing, malformed or has a different length than `f`.
+export function parseSpectrumColumns(row) {
+  const spectrum = {};
+  const problems = [];
+
+  SPECTRUM_KEYS.forEach((key) => {
+    try {
+      spectrum[key] = parseNumpyArray(row?.[key]);
+    } catch (err) {
+      problems.push(`${key}: ${err.message}`);
+    }
+  });
+
+  if (problems.length === 0) {
+    const n = spectrum.f.length;
+    if (n === 0) problems.push("f: empty array");
+
+    SPECTRUM_KEYS.slice(1).forEach((key) => {
+      if (spectrum[key].length !== n) {
+        problems.push(`${key}: ${spectrum[key].length} values, f has ${n}`);
+      }
+    });
+  }
+
+  if (problems.length > 0) {
+    const where = `${row?.subject_number ?? "?"} trial ${row?.trial_number ?? "?"}`;
+    return { spectrum: null, error: `${where}: ${problems.join("; ")}` };
+  }
+
+  return { spectrum, error: null };
+}
+
+// Element-wise lerp between two trials' spectra so the chart can morph during
+// playback. Falls back to whichever side is valid when the other is not.
+export function lerpSpectrum(a, b, t) {
+  if (!a) return b || null;
+  if (!b || b.f.length !== a.f.length) return a;
+
+  const out = {};
+  SPECTRUM_KEYS.forEach((key) => {
+    const arr = new Float64Array(a[key].length);
+    for (let k = 0; k < arr.length; k++) {
+      arr[k] = a[key][k] + (b[key][k] - a[key][k]) * t;
+    }
+    out[key] = arr;
+  });
+  return out;
+}
@@ -0,0 +1,49 @@
+import { parseNumpyArray, parseSpectrumColumns, lerpSpectrum } from './spectrum';
+
+const row = (overrides = {}) => ({
+  subject_number: 'sub-01',
+  trial_number: 0,
+  f: '[ 1.953125  3.90625   5.859375\n 7.8125 ]',
+  psd_mean: '[40.62106234  9.12811495\n  3.4618817   1.49876168]',
+  fitted: '[56.69 4.18 1.75 1.13]',
+  detrended: '[0.71 2.18 1.97 1.31]',
+  ...overrides,
+});
+
+test('parses numpy-printed arrays across newlines', () => {
+  const arr = parseNumpyArray('[ 1.5  2.\n  -3e-2 nan]');
+  expect(arr).toBeInstanceOf(Float64Array);
+  expect(Array.from(arr.slice(0, 3))).toEqual([1.5, 2, -0.03]);
+  expect(Number.isNaN(arr[3])).toBe(true);
+});
+
+test('rejects unbracketed or malformed arrays', () => {
+  expect(() => parseNumpyArray('1 2 3')).toThrow(/bracketed/);
+  expect(() => parseNumpyArray('[1 x 3]')).toThrow(/invalid number "x"/);
+  expect(() => parseNumpyArray(undefined)).toThrow(/missing/);
+});
+
+test('attaches all four spectrum arrays to a valid row', () => {
+  const { spectrum, error } = parseSpectrumColumns(row());
+  expect(error).toBeNull();
+  expect(spectrum.f).toHaveLength(4);
+  expect(spectrum.detrended[1]).toBeCloseTo(2.18);
+});
+
+test('reports length mismatches against f per row', () => {
+  const { spectrum, error } = parseSpectrumColumns(
+    row({ trial_number: 7, fitted: '[1 2 3]' })
+  );
+  expect(spectrum).toBeNull();
+  expect(error).toBe('sub-01 trial 7: fitted: 3 values, f has 4');
+});
+
+test('lerps spectra element-wise and falls back to the valid side', () => {
+  const a = parseSpectrumColumns(row()).spectrum;
+  const b = parseSpectrumColumns(row({ psd_mean: '[0 0 0 0]' })).spectrum;
+  const mid = lerpSpectrum(a, b, 0.5);
+  expect(mid.psd_mean[0]).toBeCloseTo(a.psd_mean[0] / 2);
+  expect(mid.f).toEqual(a.f);
+  expect(lerpSpectrum(null, b, 0.5)).toBe(b);
+  expect(lerpSpectrum(a, null, 0.5)).toBe(a);
+});
@@ -0,0 +1,78 @@
+import { clamp } from "./helpers";
+
+// ---------- Trend chart helpers ----------
+// A view window is { start, end }: inclusive trial indices into the
+// subject's trials, at least `minSpan` trials apart when the subject has
+// that many.
+
+export const TREND_SCALES = {
+  normalized: "Each series to its own range",
+  shared: "Shared axis",
+};
+
+// used for metrics without a color of their own (bands bring theirs)
+export const SERIES_COLORS = ["#4FC3F7", "#FF8A65", "#BA68C8", "#FFD54F", "#81C784", "#F06292", "#90A4AE", "#A1887F"];
+
+export const DEFAULT_TREND_METRICS = ["severity", "ADR", "slope"];
+
+export const fullWindow = (n) => ({ start: 0, end: Math.max(n - 1, 0) });
+
+// Keeps the window inside 0..n-1 and at least minSpan wide, preserving its
+// width where possible (so panning into an edge doesn't shrink it).
+export function clampWindow({ start, end }, n, minSpan = 4) {
+  const last = Math.max(n - 1, 0);
+  const width = clamp(Math.round(end - start), Math.min(minSpan, last), last);
+  const s = clamp(Math.round(start), 0, last - width);
+  return { start: s, end: s + width };
+}
+
+// Zoom by `factor` (< 1 zooms in) keeping trial `focus` at the same place.
+export function zoomWindow(win, focus, factor, n, minSpan = 4) {
+  const f = clamp(focus, win.start, win.end);
+  return clampWindow(
+    { start: f - (f - win.start) * factor, end: f + (win.end - f) * factor },
+    n,
+    minSpan
+  );
+}
+
+export const panWindow = (win, delta, n, minSpan = 4) =>
+  clampWindow({ start: win.start + delta, end: win.end + delta }, n, minSpan);
+
+// Window spanning two brushed trial indices, in either order.
+export const brushWindow = (a, b, n, minSpan = 4) => {
+  const lo = Math.min(a, b);
+  const hi = Math.max(a, b);
+  const grow = Math.max(0, minSpan - (hi - lo));
+  return clampWindow({ start: lo - Math.floor(grow / 2), end: hi + Math.ceil(grow / 2) }, n, minSpan);
+};
+
+// About `count` round tick values covering min..max (1, 2, 2.5 or 5 × 10^k steps).
+export function niceTicks(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (min === max) return [min];
+  const raw = (max - min) / Math.max(count - 1, 1);
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const ticks = [];
+  for (let v = Math.ceil(min / step) * step; v <= max + step * 1e-9; v += step) {
+    ticks.push(Math.abs(v) < step * 1e-9 ? 0 : Number(v.toPrecision(12)));
+  }
+  return ticks;
+}
+
+// [lo, hi] of the finite values, widened a little so lines don't sit on the frame.
+export function seriesExtent(values, pad = 0.05) {
+  let lo = Infinity;
+  let hi = -Infinity;
+  values.forEach((v) => {
+    if (Number.isFinite(v)) {
+      lo = Math.min(lo, v);
+      hi = Math.max(hi, v);
+    }
+  });
+  if (lo > hi) return [0, 1];
+  if (lo === hi) return [lo - 0.5, hi + 0.5];
+  const margin = (hi - lo) * pad;
+  return [lo - margin, hi + margin];
+}
@@ -0,0 +1,92 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { clampWindow, zoomWindow, panWindow, brushWindow, niceTicks, seriesExtent } from './trend';
+import TrendChart from './TrendChart';
+
+test('windows stay inside the subject and keep a minimum span', () => {
+  expect(clampWindow({ start: -3, end: 5 }, 40)).toEqual({ start: 0, end: 8 });
+  expect(clampWindow({ start: 36, end: 44 }, 40)).toEqual({ start: 31, end: 39 });
+  expect(clampWindow({ start: 10, end: 11 }, 40)).toEqual({ start: 10, end: 14 });
+  expect(clampWindow({ start: 0, end: 9 }, 3)).toEqual({ start: 0, end: 2 });
+
+  expect(panWindow({ start: 30, end: 38 }, 5, 40)).toEqual({ start: 31, end: 39 });
+  expect(brushWindow(20, 12, 40)).toEqual({ start: 12, end: 20 });
+  expect(brushWindow(20, 20, 40)).toEqual({ start: 18, end: 22 });
+});
+
+test('zoom keeps the focused trial in place', () => {
+  const zoomed = zoomWindow({ start: 0, end: 39 }, 10, 0.5, 40);
+  expect(zoomed).toEqual({ start: 5, end: 25 });
+  expect(zoomWindow(zoomed, 10, 2, 40)).toEqual({ start: 0, end: 39 });
+  const tight = zoomWindow({ start: 0, end: 39 }, 10, 0.01, 40);
+  expect(tight.end - tight.start).toBe(4);
+});
+
+test('nice ticks and padded extents', () => {
+  expect(niceTicks(0, 1, 5)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+  expect(niceTicks(-1.3, 2.1, 5)).toEqual([-1, 0, 1, 2]);
+  expect(niceTicks(3, 3)).toEqual([3]);
+  expect(seriesExtent([1, NaN, 3], 0)).toEqual([1, 3]);
+  expect(seriesExtent([NaN])).toEqual([0, 1]);
+});
+
+const trials = Array.from({ length: 40 }, (_, k) => ({
+  subject: 'S1',
+  t: k + 1,
+  alpha: k < 20 ? 10 : 20,
+  delta: 10,
+  ADR: k < 20 ? 1 : 2,
+  slope: -1 - k / 40,
+}));
+const metrics = [
+  { key: 'alpha', label: 'Alpha' },
+  { key: 'ADR', label: 'ADR' },
+  { key: 'slope', label: 'Aperiodic slope' },
+];
+
+test('plots chosen metrics, shows values on hover and seeks on click', () => {
+  const onSeek = jest.fn();
+  render(<TrendChart trials={trials} index={0} metrics={metrics} onSeek={onSeek} />);
+
+  expect(screen.getByRole('checkbox', { name: 'ADR' })).toBeChecked();
+  expect(screen.getByRole('checkbox', { name: 'Alpha' })).not.toBeChecked();
+
+  const chart = screen.getByRole('img', { name: 'Trend chart' });
+  jest.spyOn(chart, 'getBoundingClientRect').mockReturnValue({ left: 0, width: 640, top: 0, height: 240 });
+
+  // x = 52 + 25/39 * 572 lands on trial index 25 (t = 26)
+  const x = 52 + (25 / 39) * 572;
+  fireEvent.mouseMove(chart, { clientX: x });
+  const tip = screen.getByRole('tooltip');
+  expect(tip).toHaveTextContent('Trial 26');
+  expect(tip).toHaveTextContent('ADR: 2.00');
+  expect(tip).toHaveTextContent('Aperiodic slope: -1.63');
+
+  fireEvent.click(chart, { clientX: x });
+  expect(onSeek).toHaveBeenCalledWith(25);
+
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Alpha' }));
+  fireEvent.mouseMove(chart, { clientX: x });
+  expect(screen.getByRole('tooltip')).toHaveTextContent('Alpha: 20.0');
+});
+
+test('wheel zooms and the overview resets', () => {
+  render(<TrendChart trials={trials} index={0} metrics={metrics} />);
+  const chart = screen.getByRole('img', { name: 'Trend chart' });
+  jest.spyOn(chart, 'getBoundingClientRect').mockReturnValue({ left: 0, width: 640, top: 0, height: 240 });
+  const overview = screen.getByRole('slider', { name: 'Trend window' });
+  expect(overview).toHaveAttribute('aria-valuetext', 'Trials 1–40');
+
+  fireEvent.wheel(chart, { clientX: 52, deltaY: -100 });
+  expect(overview).toHaveAttribute('aria-valuetext', 'Trials 1–32');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Reset zoom' }));
+  expect(overview).toHaveAttribute('aria-valuetext', 'Trials 1–40');
+});
+
+test('a kept window is clamped when the subject gets fewer trials', () => {
+  const { rerender } = render(<TrendChart trials={trials} index={0} metrics={metrics} />);
+  expect(screen.getByRole('slider', { name: 'Trend window' })).toHaveAttribute('aria-valuetext', 'Trials 1–40');
+
+  rerender(<TrendChart trials={trials.slice(0, 10)} index={0} metrics={metrics} />);
+  expect(screen.getByRole('slider', { name: 'Trend window' })).toHaveAttribute('aria-valuetext', 'Trials 1–10');
+});
@@ -0,0 +1,76 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from "react";
+import {
+  createAlertEngine,
+  applyAlertEvents,
+  setAlertStatus,
+  validateAlertRule,
+  loadAlertRules,
+  saveAlertRules,
+  loadAlertLog,
+  saveAlertLog,
+} from "./alerts";
+
+// ---------- Alerts evaluated as playback advances ----------
+// Each trial the playhead reaches is run through the rules; skipping forward
+// evaluates the skipped trials too. Going backwards, switching subject or
+// editing rules replays earlier trials silently so rule state (sustain
+// counts, active alerts) matches the trial on screen. Only trials past the
+// furthest one already reached for that subject add to the log, so seeking
+// back or looping doesn't log the same alerts twice. Subjects are tracked
+// per dataset (`datasetId`), so two files that both have "sub-01" don't
+// share state, and log entries record the dataset they came from.
+export default function useAlerts({ current, i, severityModel, datasetId = null, datasetName = null }) {
+  const [rules, setRulesState] = useState(loadAlertRules);
+  const [log, setLog] = useState(loadAlertLog);
+  const engine = useMemo(() => createAlertEngine(rules, { severityModel }), [rules, severityModel]);
+  const last = useRef({ engine: null, trials: null, index: -1 });
+  const furthest = useRef(new Map()); // dataset + subject -> furthest trial index logged
+
+  useEffect(() => {
+    const subject = current[0]?.subject;
+    if (subject == null || i >= current.length) return;
+    const key = `${datasetId}\u0000${subject}`;
+
+    const prev = last.current;
+    const continuing = prev.engine === engine && prev.trials === current && prev.index <= i;
+    if (continuing && prev.index === i) return;
+
+    let from = prev.index + 1;
+    if (!continuing) {
+      engine.reset(key);
+      for (let k = 0; k < i; k++) engine.step(key, current[k]);
+      from = i;
+    }
+
+    const logged = furthest.current.get(key) ?? -1;
+    const batches = [];
+    for (let k = from; k <= i; k++) {
+      const events = engine.step(key, current[k]);
+      if (events.length > 0 && k > logged) batches.push({ events, trial: current[k].t });
+    }
+    last.current = { engine, trials: current, index: i };
+    furthest.current.set(key, Math.max(logged, i));
+    if (batches.length > 0) {
+      const now = new Date();
+      const where = { datasetId, dataset: datasetName, subject };
+      setLog((cur) => batches.reduce((l, b) => applyAlertEvents(l, b.events, { ...where, trial: b.trial, now }), cur));
+    }
+  }, [engine, current, i, datasetId, datasetName]);
+
+  useEffect(() => {
+    saveAlertLog(log);
+  }, [log]);
+
+  // throws on an invalid rule so the editor can show the message
+  const setRules = useCallback((next) => setRulesState(saveAlertRules(next.map(validateAlertRule))), []);
+
+  return {
+    rules,
+    setRules,
+    log,
+    acknowledge: useCallback((id) => setLog((l) => setAlertStatus(l, id, "acknowledged")), []),
+    dismiss: useCallback((id) => setLog((l) => setAlertStatus(l, id, "dismissed")), []),
+    acknowledgeAll: useCallback(() => setLog((l) => l.map((e) => (e.status === "new" ? { ...e, status: "acknowledged" } : e))), []),
+    clearLog: useCallback(() => setLog([]), []),
+  };
+}
@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import parseDatasetAsync from "./parseDatasetAsync";
+import { guessMapping } from "./columnMapping";
+import { DEFAULT_EDF_OPTIONS } from "./edf";
+import { DEFAULT_BANDS_CONFIG, validateBandConfig } from "./bands";
+import { BUILTIN_RATIOS, availableRatios, makeCustomRatio, loadCustomRatios, saveCustomRatios } from "./ratios";
+import { datasetUnder } from "./loader";
+import { datasetColumns, withSourceColumns } from "./audit";
+
+const EMPTY_STATS = { adrMin: 0, adrMax: 1, tarMin: 0, tarMax: 1, slopeMin: 0, slopeMax: 0, bsiMin: 0, bsiMax: 0 };
+const NO_SUBJECTS = [];
+const NO_WARNINGS = [];
+
+const baseName = (path) => String(path).split(/[\\/]/).pop() || String(path);
+
+// Built dataset -> dataset entry, or throws when the file can't be used.
+// Rows whose spectrum couldn't be read are kept as `warnings` (see DataAudit).
+function toDataset({ subjects, stats, spectrumErrors, bands, ratios }, name) {
+  if (subjects.length === 0) throw new Error("No trial rows with a subject and trial number");
+  return { name, subjects, stats, bands, ratios, warnings: spectrumErrors };
+}
+
+// ---------- CSV loading ----------
+// Holds every dataset loaded this session: the bundled `url` (if it loads)
+// plus any user-supplied files. `subjects` / `stats` are the active one's,
+// re-read when the band configuration or ratio list has changed.
+export default function useEEGData(url = "/feature_analysis_data.csv") {
+  const [datasets, setDatasets] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [progress, setProgress] = useState(null); // { name, fraction } while parsing
+  const [error, setError] = useState(null);
+  const [pendingMappings, setPendingMappings] = useState([]); // files waiting on the mapping wizard
+  const [edfOptions, setEdfOptions] = useState(DEFAULT_EDF_OPTIONS); // epoching for EDF uploads
+  const [bands, setBandsState] = useState(DEFAULT_BANDS_CONFIG);
+  const [customRatios, setCustomRatios] = useState(loadCustomRatios); // persisted in localStorage
+  const [ratioSource, setRatioSource] = useState("computed"); // see RATIO_SOURCES in audit.js
+  const [loadingBundled, setLoadingBundled] = useState(Boolean(url));
+  const nextId = useRef(1);
+
+  const addDataset = useCallback((entry) => {
+    const id = `ds-${nextId.current++}`;
+    setDatasets((list) => [...list, { id, ...entry }]);
+    setActiveId(id);
+  }, []);
+
+  useEffect(() => {
+    if (!url) return;
+    let cancelled = false;
+    setLoadingBundled(true);
+
+    parseDatasetAsync(url)
+      .then((result) => {
+        if (cancelled) return;
+        if (result.status !== "done") throw new Error(`unexpected columns ${result.fields.join(", ")}`);
+        addDataset({ ...toDataset(result.dataset, baseName(url)), source: "bundled" });
+      })
+      .catch((err) => {
+        if (!cancelled) setError(`Bundled dataset ${baseName(url)} not loaded: ${err.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingBundled(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, addDataset]);
+
+  // Parses `file` off the main thread; files whose headers don't match are
+  // queued for the mapping wizard and re-parsed once it's confirmed.
+  const parseFile = useCallback(
+    async (file, mapping) => {
+      setError(null);
+      setProgress({ name: file.name, fraction: 0, rows: 0 });
+      try {
+        const result = await parseDatasetAsync(file, {
+          mapping,
+          edf: { ...edfOptions, bands }, // EDF band columns follow the band config
+          onProgress: ({ fraction, rows }) => setProgress({ name: file.name, fraction, rows }),
+        });
+        if (result.status === "needsMapping") {
+          const id = `map-${nextId.current++}`;
+          const { fields, preview } = result;
+          setPendingMappings((q) => [...q, { id, name: file.name, file, fields, preview, guess: guessMapping(fields, bands) }]);
+        } else {
+          addDataset({ ...toDataset(result.dataset, file.name), source: "file", mapping });
+        }
+      } catch (err) {
+        setError(`${file.name}: ${err.message}`);
+      } finally {
+        setProgress(null);
+      }
+    },
+    [addDataset, edfOptions, bands]
+  );
+
+  const loadFile = useCallback((file) => parseFile(file), [parseFile]);
+
+  // Re-parses the oldest pending file with the wizard's mapping.
+  const confirmMapping = useCallback(
+    (mapping) => {
+      const pending = pendingMappings[0];
+      if (!pending) return Promise.resolve();
+      setPendingMappings((q) => q.slice(1));
+      return parseFile(pending.file, mapping);
+    },
+    [pendingMappings, parseFile]
+  );
+
+  const cancelMapping = useCallback(() => setPendingMappings((q) => q.slice(1)), []);
+
+  const removeDataset = useCallback((id) => {
+    setDatasets((list) => list.filter((d) => d.id !== id));
+    setActiveId((cur) => (cur === id ? null : cur));
+  }, []);
+
+  // throws on an invalid configuration so editors can show the message
+  const setBands = useCallback((next) => setBandsState(validateBandConfig(next)), []);
+  const definedRatios = useMemo(() => availableRatios(bands, [...BUILTIN_RATIOS, ...customRatios]), [bands, customRatios]);
+
+  // throws (see makeCustomRatio) so the ratio builder can show the message
+  const addRatio = useCallback(
+    (def) => {
+      const ratio = makeCustomRatio(def, bands, [...BUILTIN_RATIOS, ...customRatios]);
+      setCustomRatios(saveCustomRatios([...customRatios, ratio]));
+      return ratio;
+    },
+    [bands, customRatios]
+  );
+
+  const removeRatio = useCallback(
+    (key) => setCustomRatios(saveCustomRatios(customRatios.filter((r) => r.key !== key))),
+    [customRatios]
+  );
+
+  const loaded = datasets.find((d) => d.id === activeId) || datasets[0] || null;
+  const loadedSubjects = loaded ? loaded.subjects : NO_SUBJECTS;
+  const columnNames = useMemo(() => datasetColumns(loadedSubjects), [loadedSubjects]);
+
+  // "csv": ratios read their matching source column where the dataset has one
+  const ratios = useMemo(
+    () => (ratioSource === "csv" ? withSourceColumns(definedRatios, columnNames) : definedRatios),
+    [ratioSource, definedRatios, columnNames]
+  );
+
+  const active = useMemo(() => loaded && datasetUnder(loaded, bands, ratios), [loaded, bands, ratios]);
+
+  return {
+    subjects: active ? active.subjects : NO_SUBJECTS,
+    stats: active ? active.stats : EMPTY_STATS,
+    warnings: active?.warnings || NO_WARNINGS,
+    datasets,
+    activeId: active ? active.id : null,
+    bands,
+    setBands,
+    ratios,
+    customRatios,
+    ratioSource,
+    setRatioSource,
+    addRatio,
+    removeRatio,
+    selectDataset: setActiveId,
+    removeDataset,
+    loadFile,
+    edfOptions,
+    setEdfOptions,
+    pendingMapping: pendingMappings[0] || null,
+    confirmMapping,
+    cancelMapping,
+    loading: loadingBundled || progress != null,
+    progress,
+    error,
+    clearError: () => setError(null),
+  };
+}
@@ -0,0 +1,60 @@
+import { useMemo, useState, useCallback } from "react";
+import { datasetUnder } from "./loader";
+import { normMetrics, buildReference } from "./normative";
+
+const ALL = null;
+
+// ---------- Normative reference selection ----------
+// The baseline is one loaded dataset (by default the active one, or e.g. an
+// uploaded reference file) and optionally a subset of its subjects.
+// Reference statistics follow the current bands, ratios and severity model.
+export default function useNormativeReference({ datasets, activeId, subjects, bands, ratios, severityModel }) {
+  const [mode, setMode] = useState("raw"); // see NORM_MODES
+  const [datasetId, setDatasetIdState] = useState(null); // null: the active dataset
+  const [picked, setPicked] = useState(ALL); // subject ids in the baseline; null: all of them
+
+  const entry = datasets.find((d) => d.id === datasetId) || null;
+  const fromActive = !entry || entry.id === activeId;
+
+  const baseSubjects = useMemo(
+    () => (fromActive ? subjects : datasetUnder(entry, bands, ratios).subjects),
+    [fromActive, subjects, entry, bands, ratios]
+  );
+  const options = useMemo(() => baseSubjects.map((trials) => trials[0]?.subject), [baseSubjects]);
+
+  const metrics = useMemo(() => normMetrics(bands, ratios), [bands, ratios]);
+
+  const reference = useMemo(() => {
+    const baseline = picked === ALL ? baseSubjects : baseSubjects.filter((trials) => picked.includes(trials[0]?.subject));
+    return baseline.length > 0 ? buildReference(baseline, metrics, { severityModel }) : null;
+  }, [baseSubjects, picked, metrics, severityModel]);
+
+  // a different dataset has different subjects: start from all of them
+  const setDatasetId = useCallback((id) => {
+    setDatasetIdState(id || null);
+    setPicked(ALL);
+  }, []);
+
+  const toggleSubject = useCallback(
+    (id) =>
+      setPicked((cur) => {
+        const list = cur === ALL ? options : cur;
+        return list.includes(id) ? list.filter((s) => s !== id) : [...list, id];
+      }),
+    [options]
+  );
+
+  return {
+    mode,
+    setMode,
+    datasetId: entry ? entry.id : null,
+    setDatasetId,
+    options,
+    picked: picked === ALL ? options : picked,
+    toggleSubject,
+    pickAll: () => setPicked(ALL),
+    pickNone: () => setPicked([]),
+    metrics,
+    reference,
+  };
+}
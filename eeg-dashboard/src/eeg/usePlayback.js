@@ -0,0 +1,158 @@
+import { useState, useEffect, useRef } from "react";
+
+const NO_TRIALS = [];
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// What happens after a subject's last trial.
+export const END_MODES = {
+  advance: "Advance to next subject",
+  loop: "Loop subject",
+};
+
+// ---------- Trial playback (requestAnimationFrame) ----------
+// `tRef` runs 0 -> 1 between trial i and i + step; when it reaches 1 the
+// loop advances to the next trial, then (per `endMode`) to the next subject
+// or back to trial 0. `speed` divides `msPerStep`. `tt` mirrors tRef as
+// state, updated every frame while playing, so consumers re-render and can
+// morph between trials. Position resets when `datasetId` changes; a rebuilt
+// `subjects` for the same dataset (band or ratio edits) keeps it, clamped
+// to the new lengths.
+export default function usePlayback(subjects, { datasetId, msPerStep = 1200, step = 1 } = {}) {
+  const [subjectState, setSubjectIndex] = useState(0);
+  const [trialState, setI] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [endMode, setEndMode] = useState("advance");
+  const [tt, setTt] = useState(0);
+
+  const tRef = useRef(0);
+  const rafRef = useRef(null);
+  const lastTsRef = useRef(0);
+
+  const subjectIndex = Math.max(0, Math.min(subjectState, subjects.length - 1));
+  const current = subjects[subjectIndex] || NO_TRIALS;
+  const lastIndex = current.length - 1;
+  const i = Math.max(0, Math.min(trialState, lastIndex));
+
+  // new dataset -> start from the top
+  useEffect(() => {
+    setSubjectIndex(0);
+    setI(0);
+    tRef.current = 0;
+    setTt(0);
+    lastTsRef.current = 0;
+  }, [datasetId]);
+
+  useEffect(() => {
+    if (current.length === 0) return;
+
+    const stepMs = msPerStep / speed;
+
+    const tick = (ts) => {
+      if (!playing) {
+        rafRef.current = requestAnimationFrame(tick);
+        return;
+      }
+
+      if (!lastTsRef.current) lastTsRef.current = ts;
+      const dt = ts - lastTsRef.current;
+      lastTsRef.current = ts;
+
+      tRef.current = Math.min(1, tRef.current + dt / stepMs);
+
+      if (tRef.current >= 1) {
+        if (i < lastIndex) {
+          setI(Math.min(i + step, lastIndex));
+          tRef.current = 0;
+        } else if (endMode === "loop") {
+          setI(0);
+          tRef.current = 0;
+          lastTsRef.current = 0;
+        } else if (subjectIndex < subjects.length - 1) {
+          setSubjectIndex((prev) => prev + 1);
+          setI(0);
+          tRef.current = 0;
+          lastTsRef.current = 0;
+        } else {
+          setPlaying(false);
+        }
+      }
+
+      setTt(tRef.current);
+      rafRef.current = requestAnimationFrame(tick);
+    };
+
+    rafRef.current = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(rafRef.current);
+  }, [playing, current, i, lastIndex, subjectIndex, subjects.length, msPerStep, step, speed, endMode]);
+
+  const restart = () => {
+    setI(0);
+    tRef.current = 0;
+    setTt(0);
+    lastTsRef.current = 0;
+    setPlaying(true);
+  };
+
+  const togglePlaying = () => {
+    setPlaying((p) => !p);
+    lastTsRef.current = 0;
+  };
+
+  // jump to trial index (keeps play/pause state)
+  const seek = (index) => {
+    if (current.length === 0) return;
+    setI(Math.max(0, Math.min(lastIndex, Math.round(index))));
+    tRef.current = 0;
+    setTt(0);
+    lastTsRef.current = 0;
+  };
+
+  // frame-step pauses so the chosen trial stays on screen
+  const stepBy = (delta) => {
+    setPlaying(false);
+    seek(i + delta);
+  };
+
+  const goToSubject = (index) => {
+    if (subjects.length === 0) return;
+    setSubjectIndex(((index % subjects.length) + subjects.length) % subjects.length);
+    restart();
+  };
+
+  // open a subject at a given trial, paused there (e.g. from a cohort view)
+  const openTrial = (index, trial = 0) => {
+    if (subjects.length === 0) return;
+    const k = ((index % subjects.length) + subjects.length) % subjects.length;
+    setSubjectIndex(k);
+    setI(Math.max(0, Math.min(subjects[k].length - 1, Math.round(trial))));
+    tRef.current = 0;
+    setTt(0);
+    lastTsRef.current = 0;
+    setPlaying(false);
+  };
+
+  return {
+    current,
+    subjectIndex,
+    i,
+    step,
+    tt,
+    playing,
+    speed,
+    endMode,
+    tRef,
+    setSpeed,
+    setEndMode,
+    togglePlaying,
+    restart,
+    seek,
+    stepForward: () => stepBy(1),
+    stepBack: () => stepBy(-1),
+    goToSubject,
+    openTrial,
+    prevSubject: () => goToSubject(subjectIndex - 1),
+    nextSubject: () => goToSubject(subjectIndex + 1),
+  };
+}
@@ -0,0 +1,97 @@
+import { renderHook, act, fireEvent } from '@testing-library/react';
+import usePlayback from './usePlayback';
+import usePlaybackKeys from './usePlaybackKeys';
+import { interpolateFrame } from './Dashboard';
+
+const subjects = [
+  [{ t: 0 }, { t: 1 }, { t: 2 }],
+  [{ t: 0 }, { t: 1 }],
+];
+
+const setup = () =>
+  renderHook(() => {
+    const playback = usePlayback(subjects);
+    usePlaybackKeys(playback);
+    return playback;
+  });
+
+test('seek clamps to the subject and frame-step pauses', () => {
+  const { result } = setup();
+  act(() => result.current.seek(10));
+  expect(result.current.i).toBe(2);
+  expect(result.current.playing).toBe(true);
+
+  act(() => result.current.stepBack());
+  expect(result.current.i).toBe(1);
+  expect(result.current.playing).toBe(false);
+});
+
+test('keyboard shortcuts drive playback', () => {
+  const { result } = setup();
+  fireEvent.keyDown(window, { key: ' ' });
+  expect(result.current.playing).toBe(false);
+
+  fireEvent.keyDown(window, { key: 'ArrowRight' });
+  expect(result.current.i).toBe(1);
+
+  fireEvent.keyDown(window, { key: 'ArrowRight', shiftKey: true });
+  expect(result.current.subjectIndex).toBe(1);
+  expect(result.current.i).toBe(0);
+
+  fireEvent.keyDown(window, { key: 'ArrowLeft', shiftKey: true });
+  expect(result.current.subjectIndex).toBe(0);
+});
+
+test('openTrial jumps to a subject and trial and pauses there', () => {
+  const { result } = setup();
+  act(() => result.current.openTrial(1, 5));
+  expect(result.current.subjectIndex).toBe(1);
+  expect(result.current.i).toBe(1);
+  expect(result.current.playing).toBe(false);
+});
+
+test('rebuilt subjects keep the position; a new dataset starts over', () => {
+  const { result, rerender } = renderHook(({ data, id }) => usePlayback(data, { datasetId: id }), {
+    initialProps: { data: subjects, id: 'a' },
+  });
+  act(() => result.current.openTrial(0, 2));
+
+  rerender({ data: subjects.map((trials) => trials.map((r) => ({ ...r }))), id: 'a' });
+  expect(result.current.subjectIndex).toBe(0);
+  expect(result.current.i).toBe(2);
+
+  rerender({ data: [subjects[0].slice(0, 2)], id: 'a' });
+  expect(result.current.i).toBe(1);
+
+  act(() => result.current.openTrial(0, 1));
+  rerender({ data: subjects, id: 'b' });
+  expect(result.current.subjectIndex).toBe(0);
+  expect(result.current.i).toBe(0);
+});
+
+test('tt advances every frame so the shown frame morphs between trials', () => {
+  jest.useFakeTimers();
+  const raf = jest.spyOn(window, 'requestAnimationFrame').mockImplementation((cb) => setTimeout(() => cb(Date.now()), 16));
+  const caf = jest.spyOn(window, 'cancelAnimationFrame').mockImplementation((id) => clearTimeout(id));
+  try {
+    const trials = [[{ t: 0, alpha: 1, beta: 1, theta: 1, delta: 1 }, { t: 1, alpha: 3, beta: 1, theta: 1, delta: 1 }]];
+    const { result } = renderHook(() => usePlayback(trials, { msPerStep: 1000 }));
+
+    act(() => {
+      jest.advanceTimersByTime(16 * 32);
+    });
+    const { i, tt, current } = result.current;
+    expect(i).toBe(0);
+    expect(tt).toBeGreaterThan(0.4);
+    expect(tt).toBeLessThan(0.6);
+
+    const frame = interpolateFrame(current[0], current[1], tt);
+    expect(frame.alpha).toBeCloseTo(1 + 2 * tt);
+    expect(frame.alpha).toBeGreaterThan(1.8);
+    expect(frame.alpha).toBeLessThan(2.2);
+  } finally {
+    raf.mockRestore();
+    caf.mockRestore();
+    jest.useRealTimers();
+  }
+});
@@ -0,0 +1,46 @@
+import { useEffect, useRef } from "react";
+
+const TYPING = ["INPUT", "SELECT", "TEXTAREA"];
+
+// ---------- Keyboard shortcuts ----------
+//   space          play / pause
+//   ← / →          step one trial
+//   shift + ← / →  previous / next subject
+//   home           back to trial 0
+export default function usePlaybackKeys(playback, { enabled = true } = {}) {
+  const ref = useRef(playback);
+  ref.current = playback;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+      if (TYPING.includes(e.target?.tagName) || e.target?.isContentEditable) return;
+
+      const p = ref.current;
+      switch (e.key) {
+        case " ":
+          p.togglePlaying();
+          break;
+        case "ArrowLeft":
+          if (e.shiftKey) p.prevSubject();
+          else p.stepBack();
+          break;
+        case "ArrowRight":
+          if (e.shiftKey) p.nextSubject();
+          else p.stepForward();
+          break;
+        case "Home":
+          p.seek(0);
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    };
+
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [enabled]);
+}
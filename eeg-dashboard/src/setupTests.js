@@ -3,3 +3,10 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// The worker factory uses webpack-only `import.meta`, and jsdom has no
+// Worker anyway: every test gets a factory that fails, so parseDatasetAsync
+// parses on the main thread.
+jest.mock('./eeg/createDatasetWorker', () => () => {
+  throw new Error('no workers in jsdom');
+});